@@ -4,11 +4,33 @@
  * 
  * Features:
  * - Accurate time-based duration tracking
- * - Configurable confidence threshold
+ * - Pose segments with minimum hold, hysteresis and grace gaps
+ * - Per-frame session timeline
+ * - Local model files and drag-and-drop loading
+ * - Saved model library with per-model settings
+ * - Configurable confidence threshold, per-class overrides and ignored classes
+ * - Temporal smoothing of predictions (moving average or majority vote)
+ * - Body-visibility gating with framing guidance
+ * - Rep counting between two poses with cadence summary
+ * - Per-pose duration goals with live progress and optional auto-end
+ * - Interval training (work/rest rounds) driven by pose detection
+ * - Form scoring against captured reference poses, with deviating limbs highlighted
+ * - Audio cues and spoken hold-time announcements
+ * - Optional session recording with skeleton overlay (IndexedDB)
+ * - Privacy-friendly skeleton replay from stored keypoints
+ * - Camera selection, resolution and mirroring options
+ * - Auto-pause on camera loss, revoked permission or hidden tab, with reconnect
+ * - Presence-based auto-pause/resume and auto-end
+ * - Inference decoupled from rendering, with live fps and latency
+ * - Developer diagnostics panel with a copyable bug report
  * - Local storage persistence
- * - CSV export functionality
+ * - Session export as summary CSV, frame CSV and JSON
+ * - Versioned history backup and restore
  * - Pause/Resume support
- * - Session history
+ * - Pre-recorded video analysis
+ * - Guided routines with target poses
+ * - Session history with detail view, notes and paging
+ * - Progress analytics across sessions
  */
 
 // ============================================
@@ -20,36 +42,160 @@ const CONFIG = {
     WEBCAM_WIDTH: 640,
     WEBCAM_HEIGHT: 480,
     MIN_POSE_CONFIDENCE: 0.5,
+    EXIT_THRESHOLD: 0.7,    // Confidence below which an active pose is considered lost
+    MIN_HOLD_TIME: 0.5,     // Seconds a pose must be held before it counts
+    GRACE_GAP: 0.3,         // Seconds of dropout bridged without ending a pose
+    SMOOTHING_METHOD: 'none',      // Prediction smoothing: 'none', 'ema' or 'majority'
+    SMOOTHING_WINDOW: 5,           // Frames considered by the smoothing stage
+    TIMELINE_SAMPLE_INTERVAL: 0.1, // Seconds between recorded timeline frames
+    TIMELINE_KEYPOINT_LIMIT: 600,  // Most keypoint frames saved per session; longer sessions keep every Nth
+    VIDEO_ANALYSIS_FPS: 15,        // Frames sampled per second of video in analysis mode
+    VIDEO_SEEK_TIMEOUT: 5000,      // Milliseconds to wait for a video frame before giving up
     STORAGE_KEY: 'poseTrackerSessions',
-    MAX_HISTORY_ITEMS: 50
+    ROUTINES_STORAGE_KEY: 'poseTrackerRoutines',
+    MODELS_STORAGE_KEY: 'poseTrackerModels',
+    CAMERA_STORAGE_KEY: 'poseTrackerCamera',
+    MAX_HISTORY_ITEMS: 50,
+    SESSION_SCHEMA_VERSION: 3, // Bump and add a migration in SESSION_MIGRATIONS when the session shape changes
+    BACKUP_FORMAT: 'pose-tracker-backup',
+    BACKUP_VERSION: 1,
+    HISTORY_PAGE_SIZE: 10,
+    ANALYTICS_DEFAULT_DAYS: 30,
+    REQUIRED_BODY_PARTS: ['shoulders', 'hips'], // Default framing requirement for new models
+    FRAME_EDGE_MARGIN: 0.05,                    // Fraction of the frame treated as the edge when guiding
+    RECORDINGS_DB_NAME: 'poseTrackerRecordings',
+    RECORDINGS_STORE: 'recordings',
+    RECORDING_FPS: 30,
+    CAMERA_READY_TIMEOUT: 10000,   // Milliseconds to wait for the first camera frame
+    MAX_PREDICTION_ERRORS: 30,     // Consecutive prediction failures before the task auto-pauses
+    INFERENCE_TARGET_FPS: 0,       // Pose inference rate; 0 = as fast as the device allows
+    PERFORMANCE_DISPLAY_INTERVAL: 500, // Milliseconds between live fps/latency readouts
+    DIAGNOSTICS_ERROR_LIMIT: 20,   // Recent errors kept for the diagnostics panel and bug report
+    DIAGNOSTICS_TIMING_WINDOW: 60, // Inferences the diagnostics timing statistics cover
+    MIN_PRESENCE_KEYPOINTS: 3,     // Confident keypoints needed to count a person as present
+    AUTO_PAUSE_AFTER: 0,           // Seconds without a person before auto-pausing (0 = off)
+    AUTO_END_AFTER: 0,             // Seconds without a person before ending the session (0 = off)
+    AUDIO_VOLUME: 0.6,             // Default cue and speech volume (0-1)
+    ANNOUNCE_INTERVAL: 10,         // Default seconds between spoken hold-time announcements (0 = off)
+    INTERVAL_ROUNDS: 5,            // Default interval training rounds
+    INTERVAL_WORK: 30,             // Default seconds of work per round
+    INTERVAL_REST: 15,             // Default seconds of rest between rounds
+    REFERENCE_CAPTURE_DELAY: 3,    // Seconds to get into position before a reference pose is captured
+    FORM_MAX_ANGLE_DIFF: 90,       // Joint angle difference (degrees) that scores zero
+    FORM_DEVIATION_ANGLE: 25,      // Joint angle difference (degrees) from which a limb is highlighted
+    FORM_HIGHLIGHT_LIMIT: 2,       // Most deviating joints highlighted at once
+    FORM_MIN_JOINTS: 3             // Joints visible in both poses needed for a form score
 };
 
+// PoseNet keypoint order, used to store keypoints compactly in the session timeline
+const KEYPOINT_NAMES = [
+    'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+    'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist',
+    'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+// Keypoint groups that can be required to be visible before time accrues
+const BODY_PARTS = {
+    head: { label: 'Head', keypoints: ['nose', 'leftEye', 'rightEye'] },
+    shoulders: { label: 'Shoulders', keypoints: ['leftShoulder', 'rightShoulder'] },
+    arms: { label: 'Arms', keypoints: ['leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'] },
+    hips: { label: 'Hips', keypoints: ['leftHip', 'rightHip'] },
+    knees: { label: 'Knees', keypoints: ['leftKnee', 'rightKnee'] },
+    feet: { label: 'Feet', keypoints: ['leftAnkle', 'rightAnkle'] }
+};
+
+// Joints compared against reference poses; limbs are the skeleton edges highlighted when a joint deviates
+const FORM_JOINTS = [
+    { name: 'leftElbow', points: ['leftShoulder', 'leftElbow', 'leftWrist'], limbs: [['leftShoulder', 'leftElbow'], ['leftElbow', 'leftWrist']] },
+    { name: 'rightElbow', points: ['rightShoulder', 'rightElbow', 'rightWrist'], limbs: [['rightShoulder', 'rightElbow'], ['rightElbow', 'rightWrist']] },
+    { name: 'leftShoulder', points: ['leftHip', 'leftShoulder', 'leftElbow'], limbs: [['leftShoulder', 'leftElbow']] },
+    { name: 'rightShoulder', points: ['rightHip', 'rightShoulder', 'rightElbow'], limbs: [['rightShoulder', 'rightElbow']] },
+    { name: 'leftHip', points: ['leftShoulder', 'leftHip', 'leftKnee'], limbs: [['leftHip', 'leftKnee']] },
+    { name: 'rightHip', points: ['rightShoulder', 'rightHip', 'rightKnee'], limbs: [['rightHip', 'rightKnee']] },
+    { name: 'leftKnee', points: ['leftHip', 'leftKnee', 'leftAnkle'], limbs: [['leftHip', 'leftKnee'], ['leftKnee', 'leftAnkle']] },
+    { name: 'rightKnee', points: ['rightHip', 'rightKnee', 'rightAnkle'], limbs: [['rightHip', 'rightKnee'], ['rightKnee', 'rightAnkle']] },
+    { name: 'torso', lean: true, points: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'], limbs: [['leftShoulder', 'leftHip'], ['rightShoulder', 'rightHip']] }
+];
+
 // ============================================
 // State Management
 // ============================================
 let state = {
     model: null,
+    modelInfo: null,    // Library identity of the loaded model: { id, name, source, url }
+    classSettings: {},  // Per-class overrides for the loaded model: { [className]: { threshold, ignored } }
+    smoother: null,     // Temporal smoothing state applied to raw model predictions
+    requiredParts: [...CONFIG.REQUIRED_BODY_PARTS], // BODY_PARTS keys that must be visible to accrue time
+    repCounter: null,   // Rep counting run for the current task (A→B→A cycles), if enabled
+    goals: null,        // Per-pose goal progress for the current task (see createGoalTracker)
+    intervals: null,    // Interval training run for the current task (see createIntervalRun), if enabled
+    form: null,         // Latest form score against the held pose's reference: { className, score, highlights }
+    formStats: {},      // Form score totals this task: { [className]: { sum, frames } }
+    referenceCaptureTimer: null, // Pending delayed reference capture
+    audioContext: null, // Web Audio context, created on first user-initiated cue
+    recorder: null,     // Active canvas recording: { mediaRecorder, chunks, mimeType, stopped }
+    interruptions: [],  // Automatic pauses this task: { reason, at, pausedFor }
+    predictionErrors: 0, // Consecutive prediction failures
+    presence: { lastSeen: 0, autoPaused: false }, // When a person was last in view (performance.now())
+    endedBy: null,      // Why the task ended on its own, e.g. 'absence'
+    lastPose: null,     // Most recent inferred pose, redrawn on every rendered frame
+    inference: null,    // Render/inference pipeline timing, see createInferenceState()
+    isMuted: false,
+    audioCues: { lastActive: null, announcedMark: 0 }, // Which held pose has been chimed/announced
     videoStream: null,  // Native webcam stream
     videoElement: null, // Native video element
     isTestMode: false,  // Webcam test without model
+    videoSource: 'webcam', // 'webcam' (live) or 'file' (pre-recorded video analysis)
+    videoFileUrl: null,    // Object URL of the video file being analyzed
+    videoFileName: null,
+    frameSize: { width: CONFIG.WEBCAM_WIDTH, height: CONFIG.WEBCAM_HEIGHT }, // Canvas and pose coordinate space
     maxPredictions: 0,
     isTaskMode: false,
     isPaused: false,
     taskStartTime: null,
+    taskStartedAt: null,  // Wall-clock ISO time the task started
     lastTimestamp: null,
     totalPausedTime: 0,
     pauseStartTime: null,
     classDurations: {},
+    taskClock: 0,         // Active (unpaused) task time in seconds
+    poseSegments: [],     // Completed pose holds: { className, start, end, meanConfidence }
+    segmentTracker: null, // Segment state machine (see createSegmentTracker)
+    timeline: null,       // Per-frame class probabilities (see createTimeline)
+    routine: null,        // Active guided routine run (see createRoutineRun)
     currentClass: null,
     animationFrameId: null,
-    _debugLogged: false,      // Debug flag
-    _predictionLogged: false, // Debug flag
-    _errorLogged: false       // Debug flag
+    diagnostics: {        // Developer diagnostics: latest raw output, rolling timings, recent errors
+        open: false,
+        rawPrediction: null,
+        prediction: null,
+        timings: [],      // { estimate, classify } in milliseconds, newest last
+        errors: [],       // { at, context, message, stack, count }, newest last
+        lastRender: 0
+    }
 };
 
 // Chart instances
 let barChart = null;
 let summaryChart = null;
+let repCadenceChart = null;
+let recordingUrl = null;
+let skeletonReplay = null;
+let analyticsDailyChart = null;
+let analyticsWeeklyChart = null;
+
+// Currently rendered session timeline (used for hover tooltips and resizing)
+let summaryTimeline = null;
+
+// Routine being edited in the routine builder
+let routineDraft = { id: null, name: '', steps: [] };
+
+// Session shown in the summary section (just finished or opened from history)
+let viewedSession = null;
+let historyPage = 0;
+
+// Session the export dialog is open for
+let exportTarget = null;
 
 // ============================================
 // DOM Elements
@@ -59,38 +205,153 @@ const elements = {
     modelSection: document.getElementById('model-section'),
     modelUrlInput: document.getElementById('model-url'),
     checkModelButton: document.getElementById('check-model-button'),
+    localModelButton: document.getElementById('local-model-button'),
+    modelFilesInput: document.getElementById('model-files-input'),
     testWebcamButton: document.getElementById('test-webcam-button'),
     stopTestWebcamButton: document.getElementById('stop-test-webcam-button'),
     feedback: document.getElementById('feedback'),
+    modelLibrary: document.getElementById('model-library'),
+    classSettingsPanel: document.getElementById('class-settings'),
+    classSettingsList: document.getElementById('class-settings-list'),
+    requiredPartsList: document.getElementById('required-parts-list'),
+    goalsEndCheckbox: document.getElementById('goals-end-checkbox'),
     thresholdInput: document.getElementById('threshold-input'),
+    exitThresholdInput: document.getElementById('exit-threshold-input'),
+    minHoldInput: document.getElementById('min-hold-input'),
+    graceGapInput: document.getElementById('grace-gap-input'),
+    autoPauseInput: document.getElementById('auto-pause-input'),
+    autoEndInput: document.getElementById('auto-end-input'),
+    inferenceRateSelect: document.getElementById('inference-rate-select'),
+    fpsDisplay: document.getElementById('fps-display'),
+    latencyDisplay: document.getElementById('latency-display'),
+    smoothingSelect: document.getElementById('smoothing-select'),
+    smoothingWindowInput: document.getElementById('smoothing-window-input'),
+
+    // Routine Section
+    routineSection: document.getElementById('routine-section'),
+    routineNameInput: document.getElementById('routine-name'),
+    routineSteps: document.getElementById('routine-steps'),
+    addStepButton: document.getElementById('add-step-button'),
+    saveRoutineButton: document.getElementById('save-routine-button'),
+    newRoutineButton: document.getElementById('new-routine-button'),
+    routineList: document.getElementById('routine-list'),
 
     // Task Section
     taskSection: document.getElementById('task-section'),
+    routineSelect: document.getElementById('routine-select'),
+    repControls: document.getElementById('rep-controls'),
+    taskModeSelect: document.getElementById('task-mode-select'),
+    repPoseSelects: document.getElementById('rep-pose-selects'),
+    repStartSelect: document.getElementById('rep-start-select'),
+    repEndSelect: document.getElementById('rep-end-select'),
+    intervalSettings: document.getElementById('interval-settings'),
+    intervalPoseSelect: document.getElementById('interval-pose-select'),
+    intervalRoundsInput: document.getElementById('interval-rounds-input'),
+    intervalWorkInput: document.getElementById('interval-work-input'),
+    intervalRestInput: document.getElementById('interval-rest-input'),
+    intervalSummary: document.getElementById('interval-summary'),
+    repCountStat: document.getElementById('rep-count-stat'),
+    repCountDisplay: document.getElementById('rep-count'),
+    formScoreStat: document.getElementById('form-score-stat'),
+    formScoreDisplay: document.getElementById('form-score'),
+    captureReferenceButton: document.getElementById('capture-reference-button'),
+    repSummary: document.getElementById('rep-summary'),
+    repCadenceCanvas: document.getElementById('rep-cadence-chart'),
+    replayContainer: document.getElementById('replay-container'),
+    replayCanvas: document.getElementById('replay-canvas'),
+    replayPlayButton: document.getElementById('replay-play-button'),
+    replayScrubber: document.getElementById('replay-scrubber'),
+    replaySpeedSelect: document.getElementById('replay-speed-select'),
+    replayInfo: document.getElementById('replay-info'),
+    cameraSelect: document.getElementById('camera-select'),
+    resolutionSelect: document.getElementById('resolution-select'),
+    mirrorCheckbox: document.getElementById('mirror-checkbox'),
+    recordVideoCheckbox: document.getElementById('record-video-checkbox'),
+    recordingPanel: document.getElementById('recording-panel'),
+    recordingPlayer: document.getElementById('recording-player'),
+    downloadRecordingButton: document.getElementById('download-recording-button'),
+    audioMuteButton: document.getElementById('audio-mute-button'),
+    audioVolumeInput: document.getElementById('audio-volume-input'),
+    announceIntervalSelect: document.getElementById('announce-interval-select'),
+    diagnosticsButton: document.getElementById('diagnostics-button'),
+    diagnosticsPanel: document.getElementById('diagnostics-panel'),
+    diagnosticsModel: document.getElementById('diagnostics-model'),
+    diagnosticsTimings: document.getElementById('diagnostics-timings'),
+    diagnosticsProbabilities: document.getElementById('diagnostics-probabilities'),
+    diagnosticsKeypoints: document.getElementById('diagnostics-keypoints'),
+    diagnosticsErrors: document.getElementById('diagnostics-errors'),
+    copyBugReportButton: document.getElementById('copy-bug-report-button'),
+    clearDiagnosticsButton: document.getElementById('clear-diagnostics-button'),
     webcamCanvas: document.getElementById('webcam-canvas'),
     barChartContainer: document.getElementById('bar-chart-container'),
     barChartCanvas: document.getElementById('bar-chart'),
+    goalProgress: document.getElementById('goal-progress'),
+    goalProgressList: document.getElementById('goal-progress-list'),
     taskTimer: document.getElementById('task-timer'),
+    taskTimerLabel: document.getElementById('task-timer-label'),
     currentClassDisplay: document.getElementById('current-class'),
     currentProbability: document.getElementById('current-probability'),
     countdownElement: document.getElementById('countdown'),
     feedbackMessage: document.getElementById('feedback-message'),
     startTaskButton: document.getElementById('start-task-button'),
+    analyzeVideoButton: document.getElementById('analyze-video-button'),
+    videoFileInput: document.getElementById('video-file-input'),
+    videoSpeedSelect: document.getElementById('video-speed-select'),
+    videoProgress: document.getElementById('video-progress'),
+    videoProgressBar: document.getElementById('video-progress-bar'),
     pauseTaskButton: document.getElementById('pause-task-button'),
+    reconnectCameraButton: document.getElementById('reconnect-camera-button'),
     endTaskButton: document.getElementById('end-task-button'),
 
     // Summary Section
     summarySection: document.getElementById('summary-section'),
+    summaryMeta: document.getElementById('summary-meta'),
+    sessionTitleInput: document.getElementById('session-title-input'),
+    sessionNotesInput: document.getElementById('session-notes-input'),
     summaryContent: document.getElementById('summary-content'),
+    routineSummary: document.getElementById('routine-summary'),
+    interruptionSummary: document.getElementById('interruption-summary'),
+    goalSummary: document.getElementById('goal-summary'),
     summaryGraphCanvas: document.getElementById('summary-graph'),
+    summaryTimelineContainer: document.getElementById('summary-timeline-container'),
+    summaryTimelineCanvas: document.getElementById('summary-timeline'),
+    timelineTooltip: document.getElementById('timeline-tooltip'),
     totalDurationDisplay: document.getElementById('total-duration'),
     posesDetectedDisplay: document.getElementById('poses-detected'),
     exportButton: document.getElementById('export-button'),
+    exportDialog: document.getElementById('export-dialog'),
+    exportDialogTitle: document.getElementById('export-dialog-title'),
+    exportSummaryButton: document.getElementById('export-summary-button'),
+    exportFramesButton: document.getElementById('export-frames-button'),
+    exportJsonButton: document.getElementById('export-json-button'),
+    exportCancelButton: document.getElementById('export-cancel-button'),
     restartButton: document.getElementById('restart-button'),
+    deleteSessionButton: document.getElementById('delete-session-button'),
+    closeSummaryButton: document.getElementById('close-summary-button'),
 
     // History Section
     historySection: document.getElementById('history-section'),
     historyList: document.getElementById('history-list'),
+    historyPrevButton: document.getElementById('history-prev-button'),
+    historyNextButton: document.getElementById('history-next-button'),
+    historyPageInfo: document.getElementById('history-page-info'),
     clearHistoryButton: document.getElementById('clear-history-button'),
+    backupButton: document.getElementById('backup-button'),
+    restoreButton: document.getElementById('restore-button'),
+    restoreFileInput: document.getElementById('restore-file-input'),
+
+    // Analytics Section
+    analyticsSection: document.getElementById('analytics-section'),
+    analyticsFromInput: document.getElementById('analytics-from'),
+    analyticsToInput: document.getElementById('analytics-to'),
+    analyticsClassSelect: document.getElementById('analytics-class'),
+    analyticsCurrentStreak: document.getElementById('analytics-current-streak'),
+    analyticsLongestStreak: document.getElementById('analytics-longest-streak'),
+    analyticsTrainingDays: document.getElementById('analytics-training-days'),
+    analyticsTotalTime: document.getElementById('analytics-total-time'),
+    analyticsDailyCanvas: document.getElementById('analytics-daily-chart'),
+    analyticsWeeklyCanvas: document.getElementById('analytics-weekly-chart'),
+    analyticsBests: document.getElementById('analytics-bests'),
 
     // Toast Container
     toastContainer: document.getElementById('toast-container')
@@ -142,6 +403,33 @@ function showToast(message, type = 'success') {
     }, 3000);
 }
 
+/**
+ * Escape user-entered text for safe insertion into HTML
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Format time in seconds to display string
  */
@@ -149,6 +437,24 @@ function formatTime(seconds) {
     return seconds.toFixed(2) + 's';
 }
 
+/**
+ * Format time in seconds as a clock string (m:ss)
+ */
+function formatClock(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    const minutes = Math.floor(whole / 60);
+    const secs = whole % 60;
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Get a stable color for a class by its index in the label list
+ */
+function getClassColor(index, count, alpha = 0.8) {
+    const hue = (index * 360 / Math.max(count, 1) + 260) % 360;
+    return `hsla(${hue}, 70%, 60%, ${alpha})`;
+}
+
 /**
  * Get current confidence threshold from input or default
  */
@@ -162,6 +468,120 @@ function getConfidenceThreshold() {
     return CONFIG.CONFIDENCE_THRESHOLD;
 }
 
+/**
+ * Get exit (hysteresis) threshold, never above the enter threshold
+ */
+function getExitThreshold() {
+    let exit = CONFIG.EXIT_THRESHOLD;
+    if (elements.exitThresholdInput) {
+        const value = parseFloat(elements.exitThresholdInput.value);
+        if (!isNaN(value) && value >= 0 && value <= 100) {
+            exit = value / 100;
+        }
+    }
+    return Math.min(exit, getConfidenceThreshold());
+}
+
+/**
+ * Get enter/exit thresholds for a class, applying its override if set.
+ * Overrides keep the same hysteresis gap as the global thresholds.
+ */
+function getClassThresholds(className) {
+    const defaultEnter = getConfidenceThreshold();
+    const gap = defaultEnter - getExitThreshold();
+    const override = state.classSettings[className]?.threshold;
+    const enter = typeof override === 'number' ? override : defaultEnter;
+    return { enter, exit: Math.max(enter - gap, 0) };
+}
+
+/**
+ * Whether a class is ignored (never counts toward durations)
+ */
+function isClassIgnored(className) {
+    return !!state.classSettings[className]?.ignored;
+}
+
+/**
+ * Get minimum hold time in seconds before a pose counts
+ */
+function getMinHoldTime() {
+    if (elements.minHoldInput) {
+        const value = parseFloat(elements.minHoldInput.value);
+        if (!isNaN(value) && value >= 0 && value <= 10) {
+            return value;
+        }
+    }
+    return CONFIG.MIN_HOLD_TIME;
+}
+
+/**
+ * Get grace gap in seconds that bridges short dropouts
+ */
+function getGraceGap() {
+    if (elements.graceGapInput) {
+        const value = parseFloat(elements.graceGapInput.value);
+        if (!isNaN(value) && value >= 0 && value <= 5) {
+            return value;
+        }
+    }
+    return CONFIG.GRACE_GAP;
+}
+
+/**
+ * Get seconds without a person before the task auto-pauses (0 = off)
+ */
+function getAutoPauseDelay() {
+    if (elements.autoPauseInput) {
+        const value = parseFloat(elements.autoPauseInput.value);
+        if (!isNaN(value) && value >= 0) {
+            return value;
+        }
+    }
+    return CONFIG.AUTO_PAUSE_AFTER;
+}
+
+/**
+ * Get seconds without a person before the session ends (0 = off)
+ */
+function getAutoEndDelay() {
+    if (elements.autoEndInput) {
+        const value = parseFloat(elements.autoEndInput.value);
+        if (!isNaN(value) && value >= 0) {
+            return value;
+        }
+    }
+    return CONFIG.AUTO_END_AFTER;
+}
+
+/**
+ * Get the target pose inference rate (0 = as fast as possible)
+ */
+function getInferenceTargetFps() {
+    const value = parseFloat(elements.inferenceRateSelect?.value);
+    return !isNaN(value) && value >= 0 ? value : CONFIG.INFERENCE_TARGET_FPS;
+}
+
+/**
+ * Get the prediction smoothing method ('none', 'ema' or 'majority')
+ */
+function getSmoothingMethod() {
+    const value = elements.smoothingSelect?.value;
+    return ['none', 'ema', 'majority'].includes(value) ? value : CONFIG.SMOOTHING_METHOD;
+}
+
+/**
+ * Get the smoothing window size in frames, up to the input's maximum of 60
+ */
+function getSmoothingWindow() {
+    if (elements.smoothingWindowInput) {
+        const value = parseInt(elements.smoothingWindowInput.value, 10);
+        if (!isNaN(value) && value >= 1) {
+            return Math.min(value, 60);
+        }
+    }
+    return CONFIG.SMOOTHING_WINDOW;
+}
+
 // ============================================
 // Model Loading
 // ============================================
@@ -183,913 +603,5823 @@ async function loadModel(modelURL) {
 
         // Load the model
         state.model = await tmPose.load(modelJSON, metadataJSON);
-        state.maxPredictions = state.model.getTotalClasses();
-
-        console.log('Model loaded successfully');
-        console.log('Total classes:', state.maxPredictions);
-        console.log('Class labels:', state.model.getClassLabels ? state.model.getClassLabels() : 'N/A');
-
-        // Initialize class durations
-        state.classDurations = {};
-        const labels = state.model.getClassLabels ? state.model.getClassLabels() : [];
-        for (let i = 0; i < state.maxPredictions; i++) {
-            let className = labels[i] || state.model.classes?.[i] || state.model.labels?.[i] || `Class ${i}`;
-            if (className) {
-                state.classDurations[className] = 0;
-            }
-        }
+        initializeModelClasses();
 
-        console.log('Class durations initialized:', Object.keys(state.classDurations));
+        const idMatch = modelURL.match(/models\/([^/]+)\/$/);
+        state.modelInfo = {
+            id: modelURL,
+            name: idMatch ? `Model ${idMatch[1]}` : modelURL,
+            source: 'url',
+            url: modelURL
+        };
 
         return true;
     } catch (error) {
         console.error('Error loading model:', error);
+        recordDiagnosticError('model load', error);
         showFeedback(`Error loading model: ${error.message}`, 'error');
         return false;
     }
 }
 
-// ============================================
-// Webcam Management
-// ============================================
-
 /**
- * Initialize and start webcam for task mode (with pose detection)
+ * Load Teachable Machine pose model from local files
+ * (model.json, metadata.json and weights.bin, loose or inside an exported zip)
  */
-async function setupWebcam() {
+async function loadModelFromFiles(files) {
     try {
-        // Use native webcam API for reliable video display
-        state.videoStream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                width: { ideal: CONFIG.WEBCAM_WIDTH },
-                height: { ideal: CONFIG.WEBCAM_HEIGHT },
-                facingMode: 'user'
-            }
-        });
-
-        // Create video element if not exists
-        if (!state.videoElement) {
-            state.videoElement = document.createElement('video');
-            state.videoElement.setAttribute('playsinline', '');
-            state.videoElement.setAttribute('autoplay', '');
-            state.videoElement.setAttribute('muted', '');
-            // Set explicit dimensions for pose estimation
-            state.videoElement.width = CONFIG.WEBCAM_WIDTH;
-            state.videoElement.height = CONFIG.WEBCAM_HEIGHT;
-            state.videoElement.style.display = 'none';
-            document.body.appendChild(state.videoElement);
-        }
+        const { modelFile, weightsFile, metadataFile } = await resolveModelFiles(files);
 
-        state.videoElement.srcObject = state.videoStream;
-        await state.videoElement.play();
+        console.log('Loading model from local files:', modelFile.name, weightsFile.name, metadataFile.name);
 
-        // Set canvas dimensions
-        if (elements.webcamCanvas) {
-            elements.webcamCanvas.width = CONFIG.WEBCAM_WIDTH;
-            elements.webcamCanvas.height = CONFIG.WEBCAM_HEIGHT;
-        }
-
-        // Wait for video to be ready with actual dimensions
-        await new Promise((resolve) => {
-            const checkReady = () => {
-                if (state.videoElement.readyState >= 2 &&
-                    state.videoElement.videoWidth > 0 &&
-                    state.videoElement.videoHeight > 0) {
-                    console.log('Video ready:', state.videoElement.videoWidth, 'x', state.videoElement.videoHeight);
-                    resolve();
-                } else {
-                    setTimeout(checkReady, 100);
-                }
-            };
-            checkReady();
-        });
+        state.model = await tmPose.loadFromFiles(modelFile, weightsFile, metadataFile);
+        initializeModelClasses();
 
-        // Start the animation loop
-        state.animationFrameId = window.requestAnimationFrame(loop);
+        // Local models have no URL, so identify them by their weights
+        const zipFile = files.find(file => file.name.toLowerCase().endsWith('.zip'));
+        state.modelInfo = {
+            id: `local:${await fingerprintFile(weightsFile)}`,
+            name: zipFile ? zipFile.name.replace(/\.zip$/i, '') : 'Local model',
+            source: 'local',
+            url: null
+        };
 
         return true;
     } catch (error) {
-        console.error('Error setting up webcam:', error);
-        showFeedback(`Error accessing webcam: ${error.message}`, 'error');
+        console.error('Error loading local model:', error);
+        recordDiagnosticError('model load', error);
+        showFeedback(`Error loading model: ${error.message}`, 'error');
         return false;
     }
 }
 
 /**
- * Setup native webcam for test mode (without model)
+ * Initialize class bookkeeping for a freshly loaded model
  */
-async function setupNativeWebcam() {
-    try {
-        // Request webcam access
-        state.videoStream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                width: { ideal: CONFIG.WEBCAM_WIDTH },
-                height: { ideal: CONFIG.WEBCAM_HEIGHT },
-                facingMode: 'user'
-            }
-        });
-
-        // Create video element if not exists
-        if (!state.videoElement) {
-            state.videoElement = document.createElement('video');
-            state.videoElement.setAttribute('playsinline', '');
-            state.videoElement.setAttribute('autoplay', '');
-            state.videoElement.setAttribute('muted', '');
-            state.videoElement.width = CONFIG.WEBCAM_WIDTH;
-            state.videoElement.height = CONFIG.WEBCAM_HEIGHT;
-            state.videoElement.style.display = 'none';
-            document.body.appendChild(state.videoElement);
+function initializeModelClasses() {
+    state.maxPredictions = state.model.getTotalClasses();
+
+    console.log('Model loaded successfully');
+    console.log('Total classes:', state.maxPredictions);
+    console.log('Class labels:', state.model.getClassLabels ? state.model.getClassLabels() : 'N/A');
+
+    // Initialize class durations
+    state.classDurations = {};
+    const labels = state.model.getClassLabels ? state.model.getClassLabels() : [];
+    for (let i = 0; i < state.maxPredictions; i++) {
+        let className = labels[i] || state.model.classes?.[i] || state.model.labels?.[i] || `Class ${i}`;
+        if (className) {
+            state.classDurations[className] = 0;
         }
+    }
 
-        state.videoElement.srcObject = state.videoStream;
-        await state.videoElement.play();
-
-        // Set canvas dimensions
-        if (elements.webcamCanvas) {
-            elements.webcamCanvas.width = CONFIG.WEBCAM_WIDTH;
-            elements.webcamCanvas.height = CONFIG.WEBCAM_HEIGHT;
-        }
-
-        // Wait for video to be ready with actual dimensions
-        await new Promise((resolve) => {
-            const checkReady = () => {
-                if (state.videoElement.readyState >= 2 &&
-                    state.videoElement.videoWidth > 0 &&
-                    state.videoElement.videoHeight > 0) {
-                    resolve();
-                } else {
-                    setTimeout(checkReady, 100);
-                }
-            };
-            checkReady();
-        });
+    console.log('Class durations initialized:', Object.keys(state.classDurations));
+}
 
-        // Start the test animation loop
-        state.isTestMode = true;
-        state.animationFrameId = window.requestAnimationFrame(testLoop);
+/**
+ * Pick the exported model files out of a file list, expanding any zip archives
+ */
+async function resolveModelFiles(files) {
+    const expanded = [];
+    for (const file of files) {
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            expanded.push(...await extractZipFiles(file));
+        } else {
+            expanded.push(file);
+        }
+    }
 
-        return true;
-    } catch (error) {
-        console.error('Error setting up native webcam:', error);
-        showFeedback(`Error accessing webcam: ${error.message}`, 'error');
-        return false;
+    const findByName = (name) => expanded.find(file => file.name.toLowerCase() === name);
+    const modelFile = findByName('model.json');
+    const metadataFile = findByName('metadata.json');
+    const weightsFile = findByName('weights.bin') || expanded.find(file => file.name.toLowerCase().endsWith('.bin'));
+
+    const missing = [];
+    if (!modelFile) missing.push('model.json');
+    if (!metadataFile) missing.push('metadata.json');
+    if (!weightsFile) missing.push('weights.bin');
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(', ')}`);
     }
+
+    return { modelFile, weightsFile, metadataFile };
 }
 
 /**
- * Animation loop for test mode (native webcam)
+ * Stable identifier for a file's contents: a SHA-256 of its bytes, or its name, size and
+ * modification time where Web Crypto is unavailable (insecure contexts)
  */
-function testLoop() {
-    if (!state.isTestMode || !state.videoElement || !ctx) {
-        return;
+async function fingerprintFile(file) {
+    if (window.crypto?.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
     }
-
-    // Draw video frame to canvas (flip horizontally for mirror effect)
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.drawImage(
-        state.videoElement,
-        -CONFIG.WEBCAM_WIDTH, 0,
-        CONFIG.WEBCAM_WIDTH, CONFIG.WEBCAM_HEIGHT
-    );
-    ctx.restore();
-
-    state.animationFrameId = window.requestAnimationFrame(testLoop);
+    return `${file.name}:${file.size}:${file.lastModified}`;
 }
 
 /**
- * Stop native webcam test
+ * Extract the files inside an exported model zip
  */
-function stopNativeWebcam() {
-    state.isTestMode = false;
+async function extractZipFiles(zipFile) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('Zip support is unavailable, please select the extracted files instead');
+    }
 
-    if (state.videoStream) {
-        state.videoStream.getTracks().forEach(track => track.stop());
-        state.videoStream = null;
+    const zip = await JSZip.loadAsync(zipFile);
+    const files = [];
+    for (const entry of Object.values(zip.files)) {
+        if (entry.dir) continue;
+        const blob = await entry.async('blob');
+        files.push(new File([blob], entry.name.split('/').pop()));
     }
+    return files;
+}
 
-    if (state.videoElement) {
-        state.videoElement.srcObject = null;
+/**
+ * Collect files from a drop event, walking into dropped folders
+ */
+async function collectDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously, before the drop event finishes
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
     }
 
-    if (state.animationFrameId) {
-        window.cancelAnimationFrame(state.animationFrameId);
-        state.animationFrameId = null;
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child);
+                }
+            } while (batch.length > 0);
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry);
     }
+    return files;
 }
 
 /**
- * Stop webcam
+ * Shared UI update after a model load attempt (URL or local files)
  */
-function stopWebcam() {
-    if (state.videoStream) {
-        state.videoStream.getTracks().forEach(track => track.stop());
-        state.videoStream = null;
+function handleModelLoadResult(success, failureMessage) {
+    if (success) {
+        rememberLoadedModel();
+        showFeedback(`Model "${state.modelInfo?.name || 'model'}" loaded successfully!`, 'success');
+        elements.taskSection?.classList.remove('hidden');
+        elements.routineSection?.classList.remove('hidden');
+        renderRoutineBuilder();
+        updateRoutineLists();
+        renderRepSelects();
+        renderIntervalSelect();
+        if (elements.startTaskButton) elements.startTaskButton.disabled = false;
+        if (elements.analyzeVideoButton) elements.analyzeVideoButton.disabled = false;
+        if (elements.testWebcamButton) elements.testWebcamButton.disabled = false;
+        showToast('Model loaded successfully!', 'success');
+    } else {
+        showFeedback(failureMessage, 'error');
     }
+}
 
-    if (state.videoElement) {
-        state.videoElement.srcObject = null;
-    }
+/**
+ * Load a model from files chosen in the picker or dropped on the model card
+ */
+async function handleLocalModelFiles(files) {
+    if (!files || files.length === 0) return;
 
-    if (state.animationFrameId) {
-        window.cancelAnimationFrame(state.animationFrameId);
-        state.animationFrameId = null;
+    showFeedback('Loading model from files...', 'loading');
+
+    // On failure loadModelFromFiles has already shown which file is missing or invalid
+    if (await loadModelFromFiles(files)) {
+        handleModelLoadResult(true);
     }
 }
 
 // ============================================
-// Main Loop & Prediction
+// Model Library
 // ============================================
 
 /**
- * Main animation loop with accurate timing
+ * Load remembered models from localStorage
  */
-async function loop(timestamp) {
-    if (!state.videoElement) return;
-
-    // Calculate delta time for accurate duration tracking
-    let deltaTime = 0;
-    if (state.lastTimestamp !== null && state.isTaskMode && !state.isPaused) {
-        deltaTime = (timestamp - state.lastTimestamp) / 1000; // Convert to seconds
+function loadModelLibrary() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.MODELS_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Error loading model library:', error);
+        return [];
     }
-    state.lastTimestamp = timestamp;
-
-    await predict(deltaTime);
-
-    state.animationFrameId = window.requestAnimationFrame(loop);
 }
 
 /**
- * Run pose prediction
+ * Persist remembered models to localStorage
  */
-async function predict(deltaTime) {
-    if (!state.videoElement || !ctx || !elements.webcamCanvas) return;
-
-    const width = CONFIG.WEBCAM_WIDTH;
-    const height = CONFIG.WEBCAM_HEIGHT;
+function saveModelLibrary(models) {
+    try {
+        localStorage.setItem(CONFIG.MODELS_STORAGE_KEY, JSON.stringify(models));
+    } catch (error) {
+        console.error('Error saving model library:', error);
+    }
+}
 
-    // Draw video frame (flipped horizontally for mirror/selfie effect)
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.drawImage(state.videoElement, -width, 0, width, height);
-    ctx.restore();
+/**
+ * Get the library entry of the loaded model
+ */
+function getCurrentModelEntry() {
+    if (!state.modelInfo) return null;
+    return loadModelLibrary().find(model => model.id === state.modelInfo.id) || null;
+}
 
-    // If no model is loaded, just show the webcam feed
-    if (!state.model) {
-        return;
+/**
+ * Add the loaded model to the library, or restore its settings if already known
+ */
+function rememberLoadedModel() {
+    const info = state.modelInfo;
+    if (!info) return;
+
+    const models = loadModelLibrary();
+    let entry = models.find(model => model.id === info.id);
+
+    if (entry) {
+        // Restore last-used settings
+        applyTrackingSettings(entry);
+        info.name = entry.name;
+        state.classSettings = entry.classSettings || {};
+        state.requiredParts = entry.requiredParts || [...CONFIG.REQUIRED_BODY_PARTS];
+        if (elements.goalsEndCheckbox) elements.goalsEndCheckbox.checked = !!entry.endOnGoals;
+    } else {
+        state.classSettings = {};
+        state.requiredParts = [...CONFIG.REQUIRED_BODY_PARTS];
+        if (elements.goalsEndCheckbox) elements.goalsEndCheckbox.checked = false;
+        entry = {
+            id: info.id,
+            name: info.name,
+            source: info.source,
+            url: info.url,
+            ...getTrackingSettings()
+        };
+        models.push(entry);
     }
 
-    try {
-        // Estimate pose directly from video element
-        // The tmPose library handles resizing internally
-        const result = await state.model.estimatePose(state.videoElement);
+    entry.labels = getModelLabels();
+    entry.lastUsed = new Date().toISOString();
+    models.sort((a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || ''));
 
-        // Debug: log first result
-        if (!state._debugLogged) {
-            console.log('Pose estimation result:', result);
-            console.log('Model classes:', state.model.getClassLabels ? state.model.getClassLabels() : 'N/A');
-            state._debugLogged = true;
-        }
+    saveModelLibrary(models);
+    renderModelLibrary();
+    renderClassSettings();
+    renderRequiredParts();
+}
 
-        const pose = result?.pose;
-        const posenetOutput = result?.posenetOutput;
+/**
+ * Tracking settings remembered per model, in the units of their inputs
+ */
+function getTrackingSettings() {
+    return {
+        threshold: Math.round(getConfidenceThreshold() * 100),
+        exitThreshold: Math.round(getExitThreshold() * 100),
+        minHoldTime: getMinHoldTime(),
+        graceGap: getGraceGap(),
+        smoothing: { method: getSmoothingMethod(), window: getSmoothingWindow() }
+    };
+}
 
-        if (!posenetOutput) {
-            console.log('No posenetOutput');
-            return;
+/**
+ * Put a model's remembered tracking settings back into their inputs. Entries may come
+ * from a backup, so values outside the ranges the inputs accept are ignored.
+ */
+function applyTrackingSettings(entry) {
+    const restore = (input, value, min, max) => {
+        if (input && Number.isFinite(value) && value >= min && value <= max) input.value = value;
+    };
+
+    restore(elements.thresholdInput, entry.threshold, 0, 100);
+    restore(elements.exitThresholdInput, entry.exitThreshold, 0, 100);
+    restore(elements.minHoldInput, entry.minHoldTime, 0, 10);
+    restore(elements.graceGapInput, entry.graceGap, 0, 5);
+
+    if (entry.smoothing) {
+        if (elements.smoothingSelect && ['none', 'ema', 'majority'].includes(entry.smoothing.method)) {
+            elements.smoothingSelect.value = entry.smoothing.method;
         }
-
-        const prediction = await state.model.predict(posenetOutput);
-
-        // Debug: log first prediction
-        if (!state._predictionLogged) {
-            console.log('Prediction result:', prediction);
-            state._predictionLogged = true;
+        if (Number.isInteger(entry.smoothing.window)) {
+            restore(elements.smoothingWindowInput, entry.smoothing.window, 1, 60);
         }
+        resetSmoother();
+    }
+}
 
-        // Update visualization in task mode - always update if we have predictions
-        if (prediction && prediction.length > 0) {
-            // Always update the current pose/confidence display
-            const topPred = prediction.reduce((max, p) => p.probability > max.probability ? p : max, prediction[0]);
-            if (elements.currentClassDisplay) {
-                elements.currentClassDisplay.textContent = topPred.className;
-            }
-            if (elements.currentProbability) {
-                elements.currentProbability.textContent = (topPred.probability * 100).toFixed(1) + '%';
-            }
-
-            if (state.isTaskMode && !state.isPaused) {
-                updateTaskUI(prediction, deltaTime);
-            }
-        }
+/**
+ * Update settings stored for the loaded model
+ */
+function updateModelSettings(changes) {
+    if (!state.modelInfo) return;
 
-        // Draw pose overlay (need to flip the keypoints to match mirrored video)
-        if (pose && pose.keypoints) {
-            drawPoseOverlayFlipped(pose, width);
-        }
+    const models = loadModelLibrary();
+    const entry = models.find(model => model.id === state.modelInfo.id);
+    if (!entry) return;
 
-    } catch (error) {
-        console.error('Error during prediction:', error);
-        // Log more details about the error
-        if (!state._errorLogged) {
-            console.error('Error details:', error.message, error.stack);
-            state._errorLogged = true;
-        }
-    }
+    Object.assign(entry, changes);
+    saveModelLibrary(models);
 }
 
 /**
- * Update UI during active task
+ * Render per-class threshold overrides, goals, ignore toggles and reference poses for the loaded model
  */
-function updateTaskUI(prediction, deltaTime) {
-    const threshold = getConfidenceThreshold();
+function renderClassSettings() {
+    if (!elements.classSettingsList) return;
 
-    // Update bar chart
-    const labels = prediction.map(pred => pred.className);
-    const data = prediction.map(pred => (pred.probability * 100).toFixed(1));
-    updateBarChart(labels, data);
-
-    // Find high confidence predictions
-    const highConfidence = prediction.filter(pred => pred.probability >= threshold);
+    const labels = getModelLabels();
+    if (!state.model || labels.length === 0) {
+        elements.classSettingsPanel?.classList.add('hidden');
+        return;
+    }
 
-    if (highConfidence.length > 0) {
-        // Get top prediction
-        const topPred = highConfidence.reduce((max, pred) =>
-            pred.probability > max.probability ? pred : max, highConfidence[0]);
+    const defaultThreshold = Math.round(getConfidenceThreshold() * 100);
+    elements.classSettingsList.innerHTML = labels.map(label => {
+        const settings = state.classSettings[label] || {};
+        const threshold = typeof settings.threshold === 'number' ? Math.round(settings.threshold * 100) : '';
+        return `
+            <div class="class-setting${settings.ignored ? ' ignored' : ''}" data-class="${escapeHTML(label)}">
+                <span class="class-setting-name">${escapeHTML(label)}</span>
+                <label class="routine-step-field">
+                    Threshold (%)
+                    <input type="number" data-field="threshold" value="${threshold}" placeholder="${defaultThreshold}"
+                        min="0" max="100" step="5">
+                </label>
+                <label class="routine-step-field">
+                    Goal (s)
+                    <input type="number" data-field="goal" value="${settings.goal || ''}" placeholder="None"
+                        min="0" step="5">
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-field="ignored" ${settings.ignored ? 'checked' : ''}>
+                    Ignore
+                </label>
+                ${settings.reference ? `
+                    <button type="button" class="btn btn-secondary btn-small" data-action="clear-reference"
+                        title="Reference captured ${escapeHTML(new Date(settings.reference.capturedAt).toLocaleString())}">
+                        ✕ Reference
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+    elements.classSettingsPanel?.classList.remove('hidden');
+}
 
-        // Update duration tracking with accurate delta time
-        if (state.classDurations.hasOwnProperty(topPred.className)) {
-            state.classDurations[topPred.className] += deltaTime;
+/**
+ * Handle class setting edits (event delegation), remembered per model
+ */
+function handleClassSettingChange(e) {
+    const row = e.target.closest('[data-class]');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const className = row.dataset.class;
+    const settings = { ...(state.classSettings[className] || {}) };
+
+    if (field === 'ignored') {
+        settings.ignored = e.target.checked;
+        row.classList.toggle('ignored', settings.ignored);
+    } else if (field === 'goal') {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value > 0) {
+            settings.goal = value;
         } else {
-            state.classDurations[topPred.className] = deltaTime;
-        }
-
-        state.currentClass = topPred.className;
-
-        // Update UI displays
-        if (elements.currentClassDisplay) {
-            elements.currentClassDisplay.textContent = topPred.className;
-        }
-        if (elements.currentProbability) {
-            elements.currentProbability.textContent = (topPred.probability * 100).toFixed(1) + '%';
-        }
-        if (elements.feedbackMessage) {
-            elements.feedbackMessage.textContent = 'Great Pose!';
-            elements.feedbackMessage.className = 'pose-feedback great';
+            delete settings.goal;
+            e.target.value = '';
         }
     } else {
-        state.currentClass = null;
-
-        if (elements.currentClassDisplay) {
-            elements.currentClassDisplay.textContent = 'N/A';
-        }
-        if (elements.currentProbability) {
-            elements.currentProbability.textContent = '0%';
-        }
-        if (elements.feedbackMessage) {
-            elements.feedbackMessage.textContent = 'No Pose Detected';
-            elements.feedbackMessage.className = 'pose-feedback none';
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value >= 0 && value <= 100) {
+            settings.threshold = value / 100;
+        } else {
+            delete settings.threshold;
+            e.target.value = '';
         }
     }
 
-    // Update timer
-    updateTaskTimer();
+    state.classSettings[className] = settings;
+    updateModelSettings({ classSettings: state.classSettings });
 }
 
 /**
- * Update task timer display
+ * Handle class setting buttons (event delegation)
  */
-function updateTaskTimer() {
-    if (!state.taskStartTime || !elements.taskTimer) return;
+function handleClassSettingClick(e) {
+    const button = e.target.closest('[data-action="clear-reference"]');
+    const row = button?.closest('[data-class]');
+    if (!row) return;
+
+    const className = row.dataset.class;
+    if (!confirm(`Remove the reference pose for "${className}"?`)) return;
+
+    const settings = { ...(state.classSettings[className] || {}) };
+    delete settings.reference;
+    state.classSettings[className] = settings;
+    updateModelSettings({ classSettings: state.classSettings });
+    renderClassSettings();
+}
 
-    const now = performance.now();
-    const elapsed = (now - state.taskStartTime - state.totalPausedTime) / 1000;
-    elements.taskTimer.textContent = formatTime(elapsed);
+/**
+ * Render the required body part toggles for the loaded model
+ */
+function renderRequiredParts() {
+    if (!elements.requiredPartsList) return;
+
+    elements.requiredPartsList.innerHTML = Object.entries(BODY_PARTS).map(([key, part]) => `
+        <label class="checkbox-label">
+            <input type="checkbox" data-part="${key}" ${state.requiredParts.includes(key) ? 'checked' : ''}>
+            ${part.label}
+        </label>
+    `).join('');
 }
 
 /**
- * Draw pose keypoints and skeleton overlay on canvas (flipped to match mirrored video)
+ * Handle required body part toggles, remembered per model
  */
-function drawPoseOverlayFlipped(pose, canvasWidth) {
-    if (!ctx || !pose || !pose.keypoints) return;
+function handleRequiredPartChange(e) {
+    const part = e.target.dataset.part;
+    if (!part) return;
 
-    const minConfidence = CONFIG.MIN_POSE_CONFIDENCE;
+    state.requiredParts = Object.keys(BODY_PARTS).filter(key =>
+        key === part ? e.target.checked : state.requiredParts.includes(key)
+    );
+    updateModelSettings({ requiredParts: state.requiredParts });
+}
 
-    // Flip keypoints horizontally to match mirrored video display
-    const flippedKeypoints = pose.keypoints.map(kp => ({
-        ...kp,
-        position: {
-            x: canvasWidth - kp.position.x,
-            y: kp.position.y
-        }
-    }));
+/**
+ * Render the model library list
+ */
+function renderModelLibrary() {
+    if (!elements.modelLibrary) return;
 
-    // Draw keypoints
-    for (const keypoint of flippedKeypoints) {
-        if (keypoint.score >= minConfidence) {
-            ctx.beginPath();
-            ctx.arc(keypoint.position.x, keypoint.position.y, 5, 0, 2 * Math.PI);
-            ctx.fillStyle = 'aqua';
-            ctx.fill();
-        }
+    const models = loadModelLibrary();
+    if (models.length === 0) {
+        elements.modelLibrary.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 1rem;">Models you load are remembered here</p>';
+        return;
     }
 
-    // Draw skeleton lines
-    const adjacentKeyPoints = [
-        ['leftShoulder', 'rightShoulder'],
-        ['leftShoulder', 'leftElbow'],
-        ['leftElbow', 'leftWrist'],
-        ['rightShoulder', 'rightElbow'],
-        ['rightElbow', 'rightWrist'],
-        ['leftShoulder', 'leftHip'],
-        ['rightShoulder', 'rightHip'],
-        ['leftHip', 'rightHip'],
-        ['leftHip', 'leftKnee'],
-        ['leftKnee', 'leftAnkle'],
-        ['rightHip', 'rightKnee'],
-        ['rightKnee', 'rightAnkle']
-    ];
-
-    // Create a map for quick lookup
-    const keypointMap = {};
-    flippedKeypoints.forEach(kp => {
-        keypointMap[kp.part] = kp;
-    });
-
-    ctx.strokeStyle = 'aqua';
-    ctx.lineWidth = 2;
-
-    for (const [partA, partB] of adjacentKeyPoints) {
-        const kpA = keypointMap[partA];
-        const kpB = keypointMap[partB];
+    elements.modelLibrary.innerHTML = models.map(model => `
+        <div class="history-item" data-model-id="${escapeHTML(model.id)}">
+            <span class="history-info">
+                <span class="history-duration">${escapeHTML(model.name)}</span>
+                <span class="history-date">
+                    ${model.source === 'local' ? '📁 Local files' : '🌐 URL'} · ${(model.labels || []).map(escapeHTML).join(', ')}
+                </span>
+            </span>
+            <span class="btn-group">
+                <button type="button" class="btn btn-secondary btn-small" data-action="load">Load</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="rename">Rename</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="forget">Forget</button>
+            </span>
+        </div>
+    `).join('');
+}
 
-        if (kpA && kpB && kpA.score >= minConfidence && kpB.score >= minConfidence) {
-            ctx.beginPath();
-            ctx.moveTo(kpA.position.x, kpA.position.y);
-            ctx.lineTo(kpB.position.x, kpB.position.y);
-            ctx.stroke();
+/**
+ * Handle load/rename/forget on library entries (event delegation)
+ */
+async function handleModelLibraryClick(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('[data-model-id]');
+    if (!button || !item) return;
+
+    const models = loadModelLibrary();
+    const entry = models.find(model => model.id === item.dataset.modelId);
+    if (!entry) return;
+
+    switch (button.dataset.action) {
+        case 'load':
+            if (entry.threshold !== undefined && elements.thresholdInput) {
+                elements.thresholdInput.value = entry.threshold;
+            }
+            if (entry.source === 'local') {
+                // Browsers cannot reopen local files by themselves
+                showFeedback(`Select the exported files for "${entry.name}"`, 'loading');
+                elements.modelFilesInput?.click();
+            } else {
+                if (elements.modelUrlInput) elements.modelUrlInput.value = entry.url;
+                showFeedback('Loading model...', 'loading');
+                const success = await loadModel(entry.url);
+                handleModelLoadResult(success, 'Failed to load model. Please check the URL.');
+            }
+            break;
+
+        case 'rename': {
+            const name = prompt('Model name:', entry.name)?.trim();
+            if (!name) return;
+            entry.name = name;
+            saveModelLibrary(models);
+            if (state.modelInfo?.id === entry.id) state.modelInfo.name = name;
+            renderModelLibrary();
+            break;
         }
+
+        case 'forget':
+            if (!confirm(`Forget "${entry.name}"? Saved sessions keep their model name.`)) return;
+            saveModelLibrary(models.filter(model => model.id !== entry.id));
+            renderModelLibrary();
+            showToast('Model forgotten', 'success');
+            break;
     }
 }
 
 // ============================================
-// Chart Management
+// Camera Settings
 // ============================================
 
 /**
- * Initialize or update real-time bar chart
+ * Load the remembered camera choice
  */
-function updateBarChart(labels, data) {
-    if (!elements.barChartCanvas) return;
-
-    const chartCtx = elements.barChartCanvas.getContext('2d');
+function loadCameraSettings() {
+    const defaults = {
+        deviceId: '',
+        resolution: `${CONFIG.WEBCAM_WIDTH}x${CONFIG.WEBCAM_HEIGHT}`,
+        mirror: true
+    };
+    try {
+        const saved = localStorage.getItem(CONFIG.CAMERA_STORAGE_KEY);
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    } catch (error) {
+        console.error('Error loading camera settings:', error);
+        return defaults;
+    }
+}
 
-    if (!barChart) {
-        barChart = new Chart(chartCtx, {
-            type: 'bar',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Confidence (%)',
-                    data: data,
-                    backgroundColor: 'rgba(124, 58, 237, 0.7)',
-                    borderColor: 'rgba(124, 58, 237, 1)',
-                    borderWidth: 2,
-                    borderRadius: 4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                animation: { duration: 100 },
-                plugins: {
-                    legend: { display: false }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 100,
-                        grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                        ticks: { color: 'rgba(255, 255, 255, 0.7)' }
-                    },
-                    x: {
-                        grid: { display: false },
-                        ticks: { color: 'rgba(255, 255, 255, 0.7)' }
-                    }
-                }
-            }
-        });
-    } else {
-        barChart.data.labels = labels;
-        barChart.data.datasets[0].data = data;
-        barChart.update('none');
+/**
+ * Remember the camera choice from the settings inputs
+ */
+function saveCameraSettings() {
+    const settings = {
+        deviceId: elements.cameraSelect?.value || '',
+        resolution: elements.resolutionSelect?.value || `${CONFIG.WEBCAM_WIDTH}x${CONFIG.WEBCAM_HEIGHT}`,
+        mirror: isMirrorEnabled()
+    };
+    try {
+        localStorage.setItem(CONFIG.CAMERA_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving camera settings:', error);
     }
 }
 
 /**
- * Create summary chart
+ * Restore the camera settings inputs
  */
-function createSummaryChart(labels, data) {
-    if (!elements.summaryGraphCanvas) return;
+function applyCameraSettings() {
+    const settings = loadCameraSettings();
+    if (elements.resolutionSelect) elements.resolutionSelect.value = settings.resolution;
+    if (elements.mirrorCheckbox) elements.mirrorCheckbox.checked = settings.mirror;
+    populateCameraSelect();
+}
 
-    const chartCtx = elements.summaryGraphCanvas.getContext('2d');
+/**
+ * Fill the camera select with the available video devices.
+ * Device labels are only exposed once camera permission has been granted.
+ */
+async function populateCameraSelect() {
+    if (!elements.cameraSelect || !navigator.mediaDevices?.enumerateDevices) return;
 
-    if (summaryChart) {
-        summaryChart.destroy();
+    try {
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+        const selected = elements.cameraSelect.value || loadCameraSettings().deviceId;
+
+        elements.cameraSelect.innerHTML = '<option value="">Default camera</option>' +
+            devices.map((device, i) => `
+                <option value="${escapeHTML(device.deviceId)}">${escapeHTML(device.label || `Camera ${i + 1}`)}</option>
+            `).join('');
+        elements.cameraSelect.value = devices.some(device => device.deviceId === selected) ? selected : '';
+    } catch (error) {
+        console.error('Error listing cameras:', error);
     }
+}
 
-    // Generate gradient colors
-    const colors = labels.map((_, i) => {
-        const hue = (i * 360 / labels.length + 260) % 360;
-        return `hsla(${hue}, 70%, 60%, 0.8)`;
-    });
-
-    summaryChart = new Chart(chartCtx, {
-        type: 'bar',
-        data: {
-            labels: labels,
-            datasets: [{
-                label: 'Duration (s)',
-                data: data,
-                backgroundColor: colors,
-                borderColor: colors.map(c => c.replace('0.8', '1')),
-                borderWidth: 2,
-                borderRadius: 6
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: { display: false },
-                tooltip: {
-                    callbacks: {
-                        label: (context) => `${context.parsed.y.toFixed(2)}s`
-                    }
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
-                    ticks: {
-                        color: 'rgba(255, 255, 255, 0.7)',
-                        callback: (value) => value + 's'
-                    }
-                },
-                x: {
-                    grid: { display: false },
-                    ticks: { color: 'rgba(255, 255, 255, 0.7)' }
-                }
-            }
-        }
-    });
+/**
+ * Get the requested capture resolution
+ */
+function getRequestedResolution() {
+    const [width, height] = (elements.resolutionSelect?.value || '').split('x').map(Number);
+    return width > 0 && height > 0
+        ? { width, height }
+        : { width: CONFIG.WEBCAM_WIDTH, height: CONFIG.WEBCAM_HEIGHT };
 }
 
-// ============================================
-// Countdown
-// ============================================
+/**
+ * Whether the live camera view is mirrored (selfie view)
+ */
+function isMirrorEnabled() {
+    return elements.mirrorCheckbox ? elements.mirrorCheckbox.checked : loadCameraSettings().mirror;
+}
 
 /**
- * Start countdown before task
+ * Open the selected camera at the requested resolution, falling back to the default camera
  */
-function startCountdown(duration, callback) {
-    if (!elements.countdownElement) {
-        callback();
-        return;
+async function openCameraStream() {
+    const { width, height } = getRequestedResolution();
+    const deviceId = elements.cameraSelect?.value || '';
+    const video = {
+        width: { ideal: width },
+        height: { ideal: height }
+    };
+
+    if (!deviceId) {
+        return navigator.mediaDevices.getUserMedia({ video: { ...video, facingMode: 'user' } });
     }
 
-    let remaining = duration;
-    elements.countdownElement.classList.remove('hidden');
-    elements.countdownElement.textContent = remaining;
+    try {
+        return await navigator.mediaDevices.getUserMedia({ video: { ...video, deviceId: { exact: deviceId } } });
+    } catch (error) {
+        if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+        console.warn('Selected camera unavailable, using default:', error);
+        showToast('Selected camera unavailable, using the default camera', 'error');
+        return navigator.mediaDevices.getUserMedia({ video: { ...video, facingMode: 'user' } });
+    }
+}
 
-    const interval = setInterval(() => {
-        remaining--;
-        if (remaining > 0) {
-            elements.countdownElement.textContent = remaining;
-        } else {
-            clearInterval(interval);
-            elements.countdownElement.classList.add('hidden');
-            callback();
-        }
-    }, 1000);
+/**
+ * Persist a camera settings change and restart a running webcam test to apply it
+ */
+async function handleCameraSettingsChange() {
+    saveCameraSettings();
+
+    if (state.isTestMode) {
+        stopNativeWebcam();
+        await setupNativeWebcam();
+    }
 }
 
 // ============================================
-// Task Control
+// Webcam Management
 // ============================================
 
 /**
- * Start the pose tracking task
+ * Create the hidden video element used as the pose estimation source
  */
-async function startTask() {
-    // Stop any running test webcam first
-    stopNativeWebcam();
+function ensureVideoElement() {
+    if (!state.videoElement) {
+        state.videoElement = document.createElement('video');
+        state.videoElement.setAttribute('playsinline', '');
+        state.videoElement.setAttribute('autoplay', '');
+        state.videoElement.setAttribute('muted', '');
+        // Set explicit dimensions for pose estimation
+        state.videoElement.width = state.frameSize.width;
+        state.videoElement.height = state.frameSize.height;
+        state.videoElement.style.display = 'none';
+        document.body.appendChild(state.videoElement);
+    }
+    return state.videoElement;
+}
 
-    // Hide model section
-    elements.modelSection?.classList.add('hidden');
+/**
+ * Initialize and start webcam for task mode (with pose detection)
+ */
+async function setupWebcam() {
+    try {
+        // Use native webcam API for reliable video display
+        state.videoStream = await openCameraStream();
 
-    // Start countdown
-    startCountdown(CONFIG.COUNTDOWN_DURATION, async () => {
-        state.isTaskMode = true;
-        state.isPaused = false;
-        state.totalPausedTime = 0;
-        state.lastTimestamp = null;
-        state._debugLogged = false;
-        state._predictionLogged = false;
-        state._errorLogged = false;
+        // Create video element if not exists
+        ensureVideoElement();
 
-        console.log('Task starting, isTaskMode:', state.isTaskMode);
-        console.log('Model loaded:', !!state.model);
+        state.videoElement.srcObject = state.videoStream;
+        await state.videoElement.play();
 
-        // Setup webcam
-        const success = await setupWebcam();
-        if (!success) return;
+        // Wait for video to be ready with actual dimensions, then size the canvas to match
+        await waitForVideoReady();
+        console.log('Video ready:', state.videoElement.videoWidth, 'x', state.videoElement.videoHeight);
+        applyFrameSize(state.videoElement.videoWidth, state.videoElement.videoHeight);
+        populateCameraSelect();
+        watchCameraTracks(state.videoStream);
+
+        // Start the animation loop
+        state.animationFrameId = window.requestAnimationFrame(loop);
+
+        return true;
+    } catch (error) {
+        console.error('Error setting up webcam:', error);
+        recordDiagnosticError('camera', error);
+        releaseFailedStream();
+        showFeedback(describeCameraError(error), 'error');
+        return false;
+    }
+}
+
+/**
+ * Setup native webcam for test mode (without model)
+ */
+async function setupNativeWebcam() {
+    try {
+        // Request webcam access
+        state.videoStream = await openCameraStream();
+
+        // Create video element if not exists
+        ensureVideoElement();
+
+        state.videoElement.srcObject = state.videoStream;
+        await state.videoElement.play();
+
+        // Wait for video to be ready with actual dimensions, then size the canvas to match
+        await waitForVideoReady();
+        applyFrameSize(state.videoElement.videoWidth, state.videoElement.videoHeight);
+        populateCameraSelect();
+
+        // Start the test animation loop
+        state.isTestMode = true;
+        state.animationFrameId = window.requestAnimationFrame(testLoop);
+
+        return true;
+    } catch (error) {
+        console.error('Error setting up native webcam:', error);
+        recordDiagnosticError('camera', error);
+        releaseFailedStream();
+        showFeedback(describeCameraError(error), 'error');
+        return false;
+    }
+}
+
+/**
+ * Wait until the video element has frames with real dimensions, or give up after CAMERA_READY_TIMEOUT
+ */
+function waitForVideoReady() {
+    const deadline = performance.now() + CONFIG.CAMERA_READY_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+        const checkReady = () => {
+            if (state.videoElement.readyState >= 2 &&
+                state.videoElement.videoWidth > 0 &&
+                state.videoElement.videoHeight > 0) {
+                resolve();
+            } else if (performance.now() > deadline) {
+                const error = new Error('The camera did not deliver any frames');
+                error.name = 'CameraTimeoutError';
+                reject(error);
+            } else {
+                setTimeout(checkReady, 100);
+            }
+        };
+        checkReady();
+    });
+}
+
+/**
+ * Turn a camera error into an actionable message
+ */
+function describeCameraError(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return 'Camera access was blocked. Allow the camera in your browser\'s site settings, then try again.';
+        case 'NotFoundError':
+            return 'No camera was found. Connect a camera and try again.';
+        case 'NotReadableError':
+            return 'The camera is in use by another application. Close it and try again.';
+        case 'OverconstrainedError':
+            return 'The selected camera does not support this resolution. Choose another resolution.';
+        case 'CameraTimeoutError':
+            return `The camera did not start within ${CONFIG.CAMERA_READY_TIMEOUT / 1000}s. Check it is connected and not used by another app, then try again.`;
+        default:
+            return `Error accessing webcam: ${error?.message || error}`;
+    }
+}
+
+/**
+ * Release a stream that failed to start
+ */
+function releaseFailedStream() {
+    state.videoStream?.getTracks().forEach(track => track.stop());
+    state.videoStream = null;
+    if (state.videoElement) state.videoElement.srcObject = null;
+}
+
+/**
+ * Size the canvas and pose coordinate space to the source video
+ */
+function applyFrameSize(width, height) {
+    state.frameSize = { width, height };
+
+    if (state.videoElement) {
+        state.videoElement.width = width;
+        state.videoElement.height = height;
+    }
+    if (elements.webcamCanvas) {
+        elements.webcamCanvas.width = width;
+        elements.webcamCanvas.height = height;
+    }
+}
+
+/**
+ * Animation loop for test mode (native webcam)
+ */
+function testLoop() {
+    if (!state.isTestMode || !state.videoElement || !ctx) {
+        return;
+    }
+
+    // Draw video frame to canvas (flip horizontally for mirror effect)
+    const { width, height } = state.frameSize;
+    ctx.save();
+    if (shouldMirror()) {
+        ctx.scale(-1, 1);
+        ctx.drawImage(state.videoElement, -width, 0, width, height);
+    } else {
+        ctx.drawImage(state.videoElement, 0, 0, width, height);
+    }
+    ctx.restore();
+
+    state.animationFrameId = window.requestAnimationFrame(testLoop);
+}
+
+/**
+ * Stop native webcam test
+ */
+function stopNativeWebcam() {
+    state.isTestMode = false;
+
+    if (state.videoStream) {
+        state.videoStream.getTracks().forEach(track => track.stop());
+        state.videoStream = null;
+    }
+
+    if (state.videoElement) {
+        state.videoElement.srcObject = null;
+    }
+
+    if (state.animationFrameId) {
+        window.cancelAnimationFrame(state.animationFrameId);
+        state.animationFrameId = null;
+    }
+}
+
+/**
+ * Stop webcam (or release the video file being analyzed)
+ */
+function stopWebcam() {
+    if (state.videoStream) {
+        state.videoStream.getTracks().forEach(track => track.stop());
+        state.videoStream = null;
+    }
+
+    if (state.videoElement) {
+        state.videoElement.srcObject = null;
+    }
+
+    if (state.videoFileUrl) {
+        state.videoElement?.pause();
+        state.videoElement?.removeAttribute('src');
+        state.videoElement?.load();
+        URL.revokeObjectURL(state.videoFileUrl);
+        state.videoFileUrl = null;
+    }
+
+    if (state.animationFrameId) {
+        window.cancelAnimationFrame(state.animationFrameId);
+        state.animationFrameId = null;
+    }
+}
+
+// ============================================
+// Camera Interruptions
+// ============================================
+
+const INTERRUPTION_MESSAGES = {
+    'absent': 'No one in view',
+    'camera-ended': 'Camera disconnected',
+    'permission-revoked': 'Camera permission revoked',
+    'tab-hidden': 'Paused while the tab was hidden',
+    'prediction-error': 'Pose detection keeps failing'
+};
+
+/**
+ * Auto-pause the task when the camera stream ends (unplugged, revoked, taken by another app)
+ */
+function watchCameraTracks(stream) {
+    stream.getVideoTracks().forEach(track => {
+        track.addEventListener('ended', () => {
+            if (state.videoStream === stream) {
+                handleCameraInterruption('camera-ended');
+            }
+        });
+    });
+}
+
+/**
+ * Auto-pause on revoked camera permission, where the Permissions API supports it
+ */
+function watchCameraPermission() {
+    navigator.permissions?.query({ name: 'camera' }).then(status => {
+        status.addEventListener('change', () => {
+            if (status.state === 'denied') {
+                handleCameraInterruption('permission-revoked');
+            }
+        });
+    }).catch(() => {
+        // Camera permission queries are not supported in every browser
+    });
+}
+
+/**
+ * Auto-pause a live task when the tab is hidden, since frames stop arriving
+ */
+function handleVisibilityChange() {
+    if (document.hidden) {
+        handleCameraInterruption('tab-hidden');
+    }
+}
+
+/**
+ * Pause a live webcam task with a reason and, if the camera is gone, offer a reconnect
+ */
+function handleCameraInterruption(reason) {
+    if (!state.isTaskMode || state.videoSource === 'file') return;
+
+    pauseTask(reason);
+
+    if (reason === 'camera-ended' || reason === 'permission-revoked') {
+        elements.reconnectCameraButton?.classList.remove('hidden');
+    }
+}
+
+/**
+ * Whether a person is in view: a confident pose with enough confident keypoints
+ */
+function isPersonPresent(pose) {
+    const minConfidence = CONFIG.MIN_POSE_CONFIDENCE;
+    if (!pose || !pose.keypoints || pose.score < minConfidence) return false;
+
+    return pose.keypoints.filter(kp => kp.score >= minConfidence).length >= CONFIG.MIN_PRESENCE_KEYPOINTS;
+}
+
+/**
+ * Auto-pause when nobody has been in view for a while, resume when they return,
+ * and end the session after a longer absence. Runs while paused so a return is noticed.
+ */
+function updatePresence(pose) {
+    if (!state.isTaskMode || state.videoSource === 'file') return;
+
+    const presence = state.presence;
+    const now = performance.now();
+
+    if (isPersonPresent(pose)) {
+        presence.lastSeen = now;
+        if (presence.autoPaused) {
+            presence.autoPaused = false;
+            resumeTask();
+        }
+        return;
+    }
+
+    // A deliberate pause is left alone
+    if (state.isPaused && !presence.autoPaused) return;
+
+    const absentFor = (now - presence.lastSeen) / 1000;
+    const endAfter = getAutoEndDelay();
+    const pauseAfter = getAutoPauseDelay();
+
+    if (endAfter > 0 && absentFor >= endAfter) {
+        state.endedBy = 'absence';
+        endTask();
+        return;
+    }
+
+    if (pauseAfter > 0 && absentFor >= pauseAfter && !state.isPaused) {
+        pauseTask('absent');
+        presence.autoPaused = true;
+    }
+}
+
+/**
+ * Whether the live camera is still delivering frames
+ */
+function isCameraLive() {
+    return !!state.videoStream?.getVideoTracks().some(track => track.readyState === 'live');
+}
+
+/**
+ * Reopen the camera mid-task and resume
+ */
+async function reconnectCamera() {
+    if (!state.isTaskMode || state.videoSource === 'file') return;
+
+    try {
+        state.videoStream?.getTracks().forEach(track => track.stop());
+        // The running loop keeps going; it only needs a live stream on the same video element
+        const stream = await openCameraStream();
+        state.videoStream = stream;
+        state.videoElement.srcObject = stream;
+        await state.videoElement.play();
+        await waitForVideoReady();
+        watchCameraTracks(stream);
+
+        elements.reconnectCameraButton?.classList.add('hidden');
+        resumeTask();
+        showToast('Camera reconnected', 'success');
+    } catch (error) {
+        console.error('Error reconnecting camera:', error);
+        recordDiagnosticError('camera', error);
+        if (elements.feedbackMessage) {
+            elements.feedbackMessage.textContent = describeCameraError(error);
+            elements.feedbackMessage.className = 'pose-feedback adjust';
+        }
+        showToast('Could not reconnect the camera', 'error');
+    }
+}
 
-        // Show task UI
-        elements.startTaskButton?.classList.add('hidden');
-        elements.pauseTaskButton?.classList.remove('hidden');
-        elements.endTaskButton?.classList.remove('hidden');
-        elements.barChartContainer?.classList.remove('hidden');
+// ============================================
+// Video File Analysis
+// ============================================
 
-        // Reset durations
-        Object.keys(state.classDurations).forEach(key => {
-            state.classDurations[key] = 0;
+/**
+ * Open a video file as the pose estimation source
+ */
+async function setupVideoFile(file) {
+    try {
+        const video = ensureVideoElement();
+        video.srcObject = null;
+        video.autoplay = false;
+        video.muted = true;
+
+        state.videoFileUrl = URL.createObjectURL(file);
+        await new Promise((resolve, reject) => {
+            video.onloadeddata = () => resolve();
+            video.onerror = () => reject(new Error('Unsupported or unreadable video file'));
+            video.src = state.videoFileUrl;
         });
+        video.onloadeddata = null;
+        video.onerror = null;
+        video.pause();
 
-        // Start timer
-        state.taskStartTime = performance.now();
+        // Size the canvas to the video's aspect ratio at the standard width
+        applyFrameSize(CONFIG.WEBCAM_WIDTH, Math.round(CONFIG.WEBCAM_WIDTH * video.videoHeight / video.videoWidth) || CONFIG.WEBCAM_HEIGHT);
 
-        showToast('Task started! Strike a pose!', 'success');
+        state.videoSource = 'file';
+        state.videoFileName = file.name;
+        console.log('Video ready:', file.name, video.duration.toFixed(2) + 's');
+
+        return true;
+    } catch (error) {
+        console.error('Error opening video file:', error);
+        recordDiagnosticError('video file', error);
+        stopWebcam();
+        showToast(`Error opening video: ${escapeHTML(error.message)}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Seek the video and resolve once the frame is available.
+ * Rejects if the video errors, its source is torn down, or the seek takes longer than VIDEO_SEEK_TIMEOUT.
+ */
+function seekVideo(video, time) {
+    return new Promise((resolve, reject) => {
+        let timeoutId = null;
+        const cleanup = () => {
+            clearTimeout(timeoutId);
+            video.removeEventListener('seeked', onSeeked);
+            video.removeEventListener('error', onFailed);
+            video.removeEventListener('emptied', onFailed);
+        };
+        const onSeeked = () => {
+            cleanup();
+            resolve();
+        };
+        const onFailed = (e) => {
+            cleanup();
+            reject(video.error || new Error(e?.type === 'emptied' ? 'The video was unloaded' : 'The video could not be read'));
+        };
+
+        video.addEventListener('seeked', onSeeked);
+        video.addEventListener('error', onFailed);
+        video.addEventListener('emptied', onFailed);
+        timeoutId = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Seeking to ${time.toFixed(2)}s timed out`));
+        }, CONFIG.VIDEO_SEEK_TIMEOUT);
+        video.currentTime = time;
     });
 }
 
 /**
- * Pause/Resume the task
+ * Get analysis speed as a multiple of real time (0 = as fast as possible)
  */
-function togglePause() {
-    if (!state.isTaskMode) return;
+function getVideoAnalysisSpeed() {
+    const value = parseFloat(elements.videoSpeedSelect?.value);
+    return !isNaN(value) && value >= 0 ? value : 1;
+}
 
-    if (state.isPaused) {
-        // Resume
-        if (state.pauseStartTime) {
-            state.totalPausedTime += performance.now() - state.pauseStartTime;
+/**
+ * Step through the video at a fixed frame rate, driving the task clock from
+ * the video's own currentTime so results do not depend on rendering speed
+ */
+async function runVideoAnalysis() {
+    const video = state.videoElement;
+    const step = 1 / CONFIG.VIDEO_ANALYSIS_FPS;
+    let frameTime = 0;
+
+    while (state.isTaskMode && state.videoSource === 'file' && frameTime < video.duration) {
+        if (state.isPaused) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            continue;
         }
-        state.isPaused = false;
-        state.pauseStartTime = null;
-        elements.pauseTaskButton.textContent = '⏸ Pause';
-        elements.pauseTaskButton.classList.remove('btn-warning');
-        elements.pauseTaskButton.classList.add('btn-secondary');
-        showToast('Task resumed', 'success');
-    } else {
-        // Pause
-        state.isPaused = true;
-        state.pauseStartTime = performance.now();
-        elements.pauseTaskButton.textContent = '▶ Resume';
-        elements.pauseTaskButton.classList.remove('btn-secondary');
-        elements.pauseTaskButton.classList.add('btn-warning');
-        showToast('Task paused', 'success');
+
+        const frameStart = performance.now();
+        try {
+            await seekVideo(video, frameTime);
+        } catch (error) {
+            // Keep what was analyzed so far rather than hanging on a broken video
+            console.error('Error seeking video:', error);
+            recordDiagnosticError('video file', error);
+            if (state.isTaskMode && state.videoSource === 'file') {
+                showToast(`Video analysis stopped: ${escapeHTML(error.message)}`, 'error');
+                endTask();
+            }
+            return;
+        }
+        if (!state.isTaskMode) break;
+
+        state.taskClock = video.currentTime;
+        await predict();
+        updateVideoProgress(video.currentTime, video.duration);
+        frameTime += step;
+
+        // Pace to the selected speed, or just yield to keep the UI responsive
+        const speed = getVideoAnalysisSpeed();
+        const remaining = speed > 0 ? (step / speed) * 1000 - (performance.now() - frameStart) : 0;
+        await new Promise(resolve => setTimeout(resolve, Math.max(remaining, 0)));
+    }
+
+    if (state.isTaskMode && state.videoSource === 'file') {
+        state.taskClock = video.duration;
+        endTask();
     }
 }
 
 /**
- * End the task and show summary
+ * Update video analysis progress bar
+ */
+function updateVideoProgress(current, duration) {
+    if (!elements.videoProgressBar) return;
+    const percent = duration > 0 ? Math.min(current / duration, 1) * 100 : 0;
+    elements.videoProgressBar.style.width = percent + '%';
+}
+
+/**
+ * Analyze a pre-recorded video file instead of the live webcam
+ */
+async function startVideoAnalysis(file) {
+    if (!file || !state.model) return;
+    if (!checkRepSettings()) return;
+
+    // Stop any running test webcam first
+    stopNativeWebcam();
+
+    const success = await setupVideoFile(file);
+    if (!success) return;
+
+    elements.modelSection?.classList.add('hidden');
+    elements.routineSection?.classList.add('hidden');
+    elements.videoProgress?.classList.remove('hidden');
+    updateVideoProgress(0, 1);
+
+    state.isTaskMode = true;
+    state.isPaused = false;
+    state.totalPausedTime = 0;
+    state.lastTimestamp = null;
+
+    beginTaskTracking();
+    showToast(`Analyzing ${escapeHTML(file.name)}...`, 'success');
+
+    runVideoAnalysis();
+}
+
+// ============================================
+// Main Loop & Prediction
+// ============================================
+
+/**
+ * Main animation loop: redraws at display rate and starts pose inference at the
+ * target rate without waiting for it, so a slow estimatePose no longer stalls the video.
+ * Inference stays on the main thread because tfjs 1.3's WebGL backend cannot run in a worker.
+ */
+function loop(timestamp) {
+    if (!state.videoElement) return;
+
+    // Calculate delta time for accurate duration tracking
+    let deltaTime = 0;
+    if (state.lastTimestamp !== null && state.isTaskMode && !state.isPaused) {
+        deltaTime = (timestamp - state.lastTimestamp) / 1000; // Convert to seconds
+    }
+    state.lastTimestamp = timestamp;
+    state.taskClock += deltaTime;
+
+    if (shouldStartInference()) {
+        runInference();
+    }
+    renderFrame();
+    recordRenderFrame();
+
+    if (state.isTaskMode && !state.isPaused) {
+        updateTaskTimer();
+    }
+
+    // The task may have ended during inference (e.g. routine completed)
+    if (!state.videoStream) return;
+
+    state.animationFrameId = window.requestAnimationFrame(loop);
+}
+
+/**
+ * Run inference and draw the result in lockstep (used by video analysis, which seeks frame by frame)
+ */
+async function predict() {
+    await runInference();
+    renderFrame();
+}
+
+/**
+ * Draw the current video frame with the latest pose and overlays
+ */
+function renderFrame() {
+    if (!state.videoElement || !ctx || !elements.webcamCanvas) return;
+
+    const { width, height } = state.frameSize;
+
+    // Draw video frame (flipped horizontally for mirror/selfie effect)
+    ctx.save();
+    if (shouldMirror()) {
+        ctx.scale(-1, 1);
+        ctx.drawImage(state.videoElement, -width, 0, width, height);
+    } else {
+        ctx.drawImage(state.videoElement, 0, 0, width, height);
+    }
+    ctx.restore();
+
+    // If no model is loaded, just show the webcam feed
+    if (!state.model) {
+        return;
+    }
+
+    // Draw pose overlay (need to flip the keypoints to match mirrored video)
+    if (state.lastPose && state.lastPose.keypoints) {
+        drawPoseOverlayFlipped(state.lastPose, width);
+    }
+
+    if (state.isTaskMode) {
+        drawRoutineOverlay(width);
+    }
+
+    if (state.recorder) {
+        drawRecordingStats(height);
+    }
+}
+
+/**
+ * Run pose prediction on the current video frame.
+ * Results are accounted at the task time the frame was captured, not when inference finished.
+ */
+async function runInference() {
+    if (!state.model || !state.videoElement) return;
+
+    if (!state.inference) state.inference = createInferenceState();
+    const inference = state.inference;
+    if (inference.busy) return;
+
+    inference.busy = true;
+    const startedAt = performance.now();
+    const frameTime = state.taskClock;
+    inference.lastStart = startedAt;
+
+    try {
+        // Estimate pose directly from video element
+        // The tmPose library handles resizing internally
+        const result = await state.model.estimatePose(state.videoElement);
+        const estimatedAt = performance.now();
+
+        const pose = result?.pose;
+        const posenetOutput = result?.posenetOutput;
+
+        if (!posenetOutput) {
+            console.log('No posenetOutput');
+            return;
+        }
+
+        const rawPrediction = await state.model.predict(posenetOutput);
+        recordInferenceTiming(startedAt);
+        recordDiagnosticTiming(estimatedAt - startedAt, performance.now() - estimatedAt);
+
+        state.lastPose = pose || null;
+
+        // Everything downstream (display, accounting, recording) sees smoothed values
+        const prediction = smoothPrediction(rawPrediction);
+        state.diagnostics.rawPrediction = rawPrediction;
+        state.diagnostics.prediction = prediction;
+
+        // Update visualization in task mode - always update if we have predictions
+        if (prediction && prediction.length > 0) {
+            // Always update the current pose/confidence display
+            const topPred = prediction.reduce((max, p) => p.probability > max.probability ? p : max, prediction[0]);
+            if (elements.currentClassDisplay) {
+                elements.currentClassDisplay.textContent = topPred.className;
+            }
+            if (elements.currentProbability) {
+                elements.currentProbability.textContent = (topPred.probability * 100).toFixed(1) + '%';
+            }
+
+            if (state.isTaskMode && !state.isPaused) {
+                updateTaskUI(prediction, pose, frameTime);
+            }
+        }
+
+        updatePresence(pose);
+
+        state.predictionErrors = 0;
+    } catch (error) {
+        console.error('Error during prediction:', error);
+        recordDiagnosticError('prediction', error);
+
+        state.predictionErrors++;
+        if (state.predictionErrors >= CONFIG.MAX_PREDICTION_ERRORS && state.isTaskMode && !state.isPaused) {
+            pauseTask('prediction-error');
+        }
+    } finally {
+        inference.busy = false;
+        refreshDiagnostics();
+    }
+}
+
+/**
+ * Whether to start a new inference now: never while one is running, otherwise at the target rate
+ */
+function shouldStartInference() {
+    const inference = state.inference;
+    if (!inference) return true;
+    if (inference.busy) return false;
+
+    const targetFps = getInferenceTargetFps();
+    return targetFps <= 0 || performance.now() - inference.lastStart >= 1000 / targetFps;
+}
+
+/**
+ * Update UI during active task
+ */
+function updateTaskUI(prediction, pose, frameTime) {
+    // Update bar chart
+    const labels = prediction.map(pred => pred.className);
+    const data = prediction.map(pred => (pred.probability * 100).toFixed(1));
+    updateBarChart(labels, data);
+
+    // Feed the segment tracker, which owns duration accounting.
+    // Nothing counts while the required body parts are out of frame.
+    const framing = checkFraming(pose);
+    const countable = framing.ok
+        ? getCountablePrediction(prediction)
+        : prediction.map(pred => ({ ...pred, probability: 0 }));
+    updatePoseSegments(countable, frameTime);
+    updateFormScore(pose);
+    recordTimelineFrame(prediction, frameTime, pose);
+    updateRoutine(frameTime);
+    updateIntervals(frameTime);
+    updateRepCounter();
+    updateGoals(frameTime);
+    updateAudioCues();
+
+    const tracker = state.segmentTracker;
+    const active = tracker?.active;
+
+    if (active) {
+        const activePred = prediction.find(pred => pred.className === active.className);
+        state.currentClass = active.className;
+
+        // Update UI displays
+        if (elements.currentClassDisplay) {
+            elements.currentClassDisplay.textContent = active.className;
+        }
+        if (elements.currentProbability) {
+            elements.currentProbability.textContent = ((activePred?.probability || 0) * 100).toFixed(1) + '%';
+        }
+        if (elements.feedbackMessage) {
+            elements.feedbackMessage.textContent = 'Great Pose!';
+            elements.feedbackMessage.className = 'pose-feedback great';
+        }
+    } else {
+        state.currentClass = null;
+
+        if (elements.currentClassDisplay) {
+            elements.currentClassDisplay.textContent = tracker?.candidate ? tracker.candidate.className : 'N/A';
+        }
+        if (elements.currentProbability && !tracker?.candidate) {
+            elements.currentProbability.textContent = '0%';
+        }
+        if (elements.feedbackMessage) {
+            if (tracker?.candidate) {
+                elements.feedbackMessage.textContent = 'Hold it...';
+                elements.feedbackMessage.className = 'pose-feedback adjust';
+            } else if (state.routine && !state.routine.finished) {
+                const run = state.routine;
+                elements.feedbackMessage.textContent = run.phase === 'rest' ? 'Rest' : `Strike: ${run.steps[run.index].className}`;
+                elements.feedbackMessage.className = 'pose-feedback none';
+            } else if (state.intervals && !state.intervals.finished) {
+                const run = state.intervals;
+                elements.feedbackMessage.textContent = run.phase === 'rest' ? 'Rest' : `Strike: ${run.className}`;
+                elements.feedbackMessage.className = 'pose-feedback none';
+            } else {
+                elements.feedbackMessage.textContent = 'No Pose Detected';
+                elements.feedbackMessage.className = 'pose-feedback none';
+            }
+        }
+    }
+
+    // Framing guidance takes precedence while a held pose rides out its grace gap
+    if (!framing.ok && elements.feedbackMessage) {
+        elements.feedbackMessage.textContent = framing.guidance;
+        elements.feedbackMessage.className = 'pose-feedback adjust';
+    }
+
+    // Update timer
+    updateTaskTimer();
+
+    if (state.routine?.finished || state.intervals?.finished || state.endedBy === 'goals') {
+        endTask();
+    }
+}
+
+/**
+ * Check that the required body parts are visible.
+ * A part counts as visible when at least half of its keypoints clear MIN_POSE_CONFIDENCE,
+ * so side-on poses that hide one limb still pass.
+ */
+function checkFraming(pose) {
+    const minConfidence = CONFIG.MIN_POSE_CONFIDENCE;
+    if (!pose || !pose.keypoints || pose.score < minConfidence) {
+        return { ok: false, guidance: 'Step into the frame' };
+    }
+
+    const visible = pose.keypoints.filter(kp => kp.score >= minConfidence);
+    const visibleNames = new Set(visible.map(kp => kp.part));
+    const missing = state.requiredParts.filter(key => {
+        const keypoints = BODY_PARTS[key]?.keypoints || [];
+        const seen = keypoints.filter(name => visibleNames.has(name)).length;
+        return seen * 2 < keypoints.length;
+    });
+
+    if (missing.length === 0) return { ok: true, guidance: null };
+    return { ok: false, guidance: getFramingGuidance(visible, missing) };
+}
+
+/**
+ * Suggest how to fix the framing, using where the visible keypoints sit in the displayed frame
+ */
+function getFramingGuidance(visible, missing) {
+    if (visible.length === 0) return 'Step into the frame';
+
+    const { width, height } = state.frameSize;
+    const margin = CONFIG.FRAME_EDGE_MARGIN;
+    const xs = visible.map(kp => shouldMirror() ? width - kp.position.x : kp.position.x);
+    const ys = visible.map(kp => kp.position.y);
+
+    const atLeft = Math.min(...xs) < width * margin;
+    const atRight = Math.max(...xs) > width * (1 - margin);
+    const atTop = Math.min(...ys) < height * margin;
+    const atBottom = Math.max(...ys) > height * (1 - margin);
+
+    if (atLeft && !atRight) return 'Move right';
+    if (atRight && !atLeft) return 'Move left';
+    if ((atLeft && atRight) || (atTop && atBottom)) return 'Step back';
+
+    const names = missing.map(key => BODY_PARTS[key].label.toLowerCase()).join(', ');
+    const message = names.charAt(0).toUpperCase() + names.slice(1) + ' not visible';
+
+    if (missing.some(key => ['hips', 'knees', 'feet'].includes(key))) return `${message} - step back`;
+    if (missing.includes('head')) return `${message} - raise the camera`;
+    return `${message} - face the camera`;
+}
+
+/**
+ * Whether the canvas shows a mirrored (selfie) view
+ */
+function shouldMirror() {
+    // Recorded videos are shown as filmed
+    return state.videoSource !== 'file' && isMirrorEnabled();
+}
+
+/**
+ * Get elapsed task time in seconds, excluding pauses
+ */
+function getTaskElapsed() {
+    // Video analysis runs on the video's own clock
+    if (state.videoSource === 'file') {
+        return state.taskClock;
+    }
+    if (!state.taskStartTime) return 0;
+
+    const now = state.pauseStartTime || performance.now();
+    return (now - state.taskStartTime - state.totalPausedTime) / 1000;
+}
+
+/**
+ * Update task timer display
+ */
+function updateTaskTimer() {
+    if (!state.taskStartTime || !elements.taskTimer) return;
+
+    // Interval runs show the round, phase and countdown instead of the elapsed time
+    const run = state.intervals;
+    if (run && !run.finished) {
+        const status = getIntervalStatus(run, state.taskClock);
+        if (elements.taskTimerLabel) elements.taskTimerLabel.textContent = status.label;
+        elements.taskTimer.textContent = formatClock(Math.ceil(status.remaining));
+        return;
+    }
+
+    elements.taskTimer.textContent = formatTime(getTaskElapsed());
+}
+
+/**
+ * Draw pose keypoints and skeleton overlay on canvas (flipped to match mirrored video)
+ */
+function drawPoseOverlayFlipped(pose, canvasWidth) {
+    if (!ctx || !pose || !pose.keypoints) return;
+
+    drawSkeleton(ctx, getDisplayKeypoints(pose, canvasWidth), state.isTaskMode ? state.form?.highlights : null);
+}
+
+/**
+ * Keypoints in canvas coordinates, flipped horizontally when the video is mirrored
+ */
+function getDisplayKeypoints(pose, canvasWidth) {
+    const mirrored = shouldMirror();
+    return pose.keypoints.map(kp => ({
+        ...kp,
+        position: {
+            x: mirrored ? canvasWidth - kp.position.x : kp.position.x,
+            y: kp.position.y
+        }
+    }));
+}
+
+/**
+ * Draw keypoints and skeleton lines on a canvas context
+ */
+function drawSkeleton(drawCtx, keypoints, highlights = null) {
+    const minConfidence = CONFIG.MIN_POSE_CONFIDENCE;
+
+    // Draw keypoints
+    for (const keypoint of keypoints) {
+        if (keypoint.score >= minConfidence) {
+            drawCtx.beginPath();
+            drawCtx.arc(keypoint.position.x, keypoint.position.y, 5, 0, 2 * Math.PI);
+            drawCtx.fillStyle = 'aqua';
+            drawCtx.fill();
+        }
+    }
+
+    // Draw skeleton lines
+    const adjacentKeyPoints = [
+        ['leftShoulder', 'rightShoulder'],
+        ['leftShoulder', 'leftElbow'],
+        ['leftElbow', 'leftWrist'],
+        ['rightShoulder', 'rightElbow'],
+        ['rightElbow', 'rightWrist'],
+        ['leftShoulder', 'leftHip'],
+        ['rightShoulder', 'rightHip'],
+        ['leftHip', 'rightHip'],
+        ['leftHip', 'leftKnee'],
+        ['leftKnee', 'leftAnkle'],
+        ['rightHip', 'rightKnee'],
+        ['rightKnee', 'rightAnkle']
+    ];
+
+    // Create a map for quick lookup
+    const keypointMap = {};
+    keypoints.forEach(kp => {
+        keypointMap[kp.part] = kp;
+    });
+
+    for (const [partA, partB] of adjacentKeyPoints) {
+        const kpA = keypointMap[partA];
+        const kpB = keypointMap[partB];
+
+        if (kpA && kpB && kpA.score >= minConfidence && kpB.score >= minConfidence) {
+            // Limbs deviating most from the reference pose stand out
+            const deviating = highlights?.has(`${partA}-${partB}`);
+            drawCtx.strokeStyle = deviating ? '#ef4444' : 'aqua';
+            drawCtx.lineWidth = deviating ? 5 : 2;
+            drawCtx.beginPath();
+            drawCtx.moveTo(kpA.position.x, kpA.position.y);
+            drawCtx.lineTo(kpB.position.x, kpB.position.y);
+            drawCtx.stroke();
+        }
+    }
+}
+
+// ============================================
+// Pipeline Performance
+// ============================================
+
+/**
+ * Create render/inference timing state. Rates and latency are smoothed for the live
+ * readout; totals cover active task time for the stored session.
+ */
+function createInferenceState() {
+    return {
+        busy: false,
+        lastStart: 0,           // performance.now() when the latest inference started
+        lastRender: null,
+        lastInferenceEnd: null,
+        lastDisplay: 0,
+        renderFps: 0,
+        inferenceFps: 0,
+        latency: 0,             // Milliseconds from frame capture to prediction
+        totals: { renderFrames: 0, inferences: 0, latencySum: 0, latencyMax: 0 }
+    };
+}
+
+/**
+ * Reset timing for a new task, keeping any inference already in flight
+ */
+function resetPerformanceStats() {
+    const busy = state.inference?.busy || false;
+    state.inference = createInferenceState();
+    state.inference.busy = busy;
+}
+
+/**
+ * Exponential moving average used for the live readouts
+ */
+function smoothRate(previous, sample) {
+    return previous > 0 ? previous * 0.9 + sample * 0.1 : sample;
+}
+
+/**
+ * Count a rendered frame and refresh the live readout
+ */
+function recordRenderFrame() {
+    if (!state.inference) state.inference = createInferenceState();
+    const inference = state.inference;
+    const now = performance.now();
+
+    if (inference.lastRender !== null && now > inference.lastRender) {
+        inference.renderFps = smoothRate(inference.renderFps, 1000 / (now - inference.lastRender));
+    }
+    inference.lastRender = now;
+
+    if (state.isTaskMode && !state.isPaused) {
+        inference.totals.renderFrames++;
+    }
+
+    if (now - inference.lastDisplay >= CONFIG.PERFORMANCE_DISPLAY_INTERVAL) {
+        inference.lastDisplay = now;
+        updatePerformanceDisplay();
+    }
+}
+
+/**
+ * Record the latency and rate of a finished inference
+ */
+function recordInferenceTiming(startedAt) {
+    const inference = state.inference;
+    const now = performance.now();
+    const latency = now - startedAt;
+
+    inference.latency = smoothRate(inference.latency, latency);
+    if (inference.lastInferenceEnd !== null && now > inference.lastInferenceEnd) {
+        inference.inferenceFps = smoothRate(inference.inferenceFps, 1000 / (now - inference.lastInferenceEnd));
+    }
+    inference.lastInferenceEnd = now;
+
+    if (state.isTaskMode && !state.isPaused) {
+        const totals = inference.totals;
+        totals.inferences++;
+        totals.latencySum += latency;
+        totals.latencyMax = Math.max(totals.latencyMax, latency);
+    }
+}
+
+/**
+ * Show live render/inference fps and latency on the stats overlay
+ */
+function updatePerformanceDisplay() {
+    const inference = state.inference;
+    if (!inference) return;
+
+    if (elements.fpsDisplay) {
+        elements.fpsDisplay.textContent = `${Math.round(inference.renderFps)}/${Math.round(inference.inferenceFps)}`;
+    }
+    if (elements.latencyDisplay) {
+        elements.latencyDisplay.textContent = `${Math.round(inference.latency)}ms`;
+    }
+}
+
+/**
+ * Summarize pipeline performance over the task's active time for the stored session
+ */
+function summarizePerformance(activeSeconds) {
+    const totals = state.inference?.totals;
+    if (!totals || totals.inferences === 0 || activeSeconds <= 0) return undefined;
+
+    return {
+        targetFps: getInferenceTargetFps(),
+        renderFps: totals.renderFrames > 0 ? parseFloat((totals.renderFrames / activeSeconds).toFixed(1)) : undefined,
+        inferenceFps: parseFloat((totals.inferences / activeSeconds).toFixed(1)),
+        latencyMs: Math.round(totals.latencySum / totals.inferences),
+        maxLatencyMs: Math.round(totals.latencyMax)
+    };
+}
+
+// ============================================
+// Diagnostics
+// ============================================
+
+/**
+ * Append to a bounded list, dropping the oldest entries
+ */
+function pushLimited(list, item, limit) {
+    list.push(item);
+    if (list.length > limit) list.splice(0, list.length - limit);
+}
+
+/**
+ * Keep an error for the diagnostics panel and bug report.
+ * Repeats of the latest error are collapsed into a count so a failing loop cannot flush the buffer.
+ */
+function recordDiagnosticError(context, error) {
+    const errors = state.diagnostics.errors;
+    const message = error?.message || String(error);
+    const last = errors[errors.length - 1];
+
+    if (last && last.context === context && last.message === message) {
+        last.count++;
+        last.at = new Date().toISOString();
+    } else {
+        pushLimited(errors, {
+            at: new Date().toISOString(),
+            context,
+            message,
+            stack: error?.stack || null,
+            count: 1
+        }, CONFIG.DIAGNOSTICS_ERROR_LIMIT);
+    }
+
+    if (state.diagnostics.open) renderDiagnosticErrors();
+}
+
+/**
+ * Record how long the pose estimation and classification stages of one inference took
+ */
+function recordDiagnosticTiming(estimate, classify) {
+    pushLimited(state.diagnostics.timings, { estimate, classify }, CONFIG.DIAGNOSTICS_TIMING_WINDOW);
+}
+
+/**
+ * Last, mean, 95th percentile and max of a list of millisecond samples
+ */
+function summarizeTimings(samples) {
+    if (samples.length === 0) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    return {
+        last: samples[samples.length - 1],
+        mean: samples.reduce((sum, value) => sum + value, 0) / samples.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Metadata of the loaded model and the library versions running it
+ */
+function getModelDiagnostics() {
+    const metadata = state.model?.getMetadata ? state.model.getMetadata() : null;
+    const posenet = metadata?.modelSettings?.posenet;
+
+    return {
+        name: state.modelInfo?.name || metadata?.modelName || null,
+        source: state.modelInfo?.url || state.modelInfo?.source || null,
+        labels: state.model ? getModelLabels() : [],
+        imageSize: metadata?.imageSize || posenet?.inputResolution || null,
+        architecture: posenet?.architecture || null,
+        trainedWith: metadata ? `tmPose ${metadata.tmVersion || '?'} / tfjs ${metadata.tfjsVersion || '?'}` : null,
+        tmPoseVersion: window.tmPose?.version || null,
+        tfjsVersion: window.tf?.version?.tfjs || window.tf?.version_core || null,
+        backend: window.tf?.getBackend ? window.tf.getBackend() : null
+    };
+}
+
+/**
+ * Show or hide the diagnostics panel
+ */
+function toggleDiagnostics() {
+    const diagnostics = state.diagnostics;
+    diagnostics.open = !diagnostics.open;
+
+    elements.diagnosticsPanel?.classList.toggle('hidden', !diagnostics.open);
+    elements.diagnosticsButton?.setAttribute('aria-pressed', String(diagnostics.open));
+
+    if (diagnostics.open) renderDiagnostics();
+}
+
+/**
+ * Redraw the open diagnostics panel, at most once per display interval
+ */
+function refreshDiagnostics() {
+    const diagnostics = state.diagnostics;
+    if (!diagnostics.open) return;
+
+    const now = performance.now();
+    if (now - diagnostics.lastRender < CONFIG.PERFORMANCE_DISPLAY_INTERVAL) return;
+    renderDiagnostics();
+}
+
+/**
+ * Render every part of the diagnostics panel
+ */
+function renderDiagnostics() {
+    state.diagnostics.lastRender = performance.now();
+    renderDiagnosticModel();
+    renderDiagnosticTimings();
+    renderDiagnosticProbabilities();
+    renderDiagnosticKeypoints();
+    renderDiagnosticErrors();
+}
+
+/**
+ * Render rows of label/value pairs into a diagnostics table
+ */
+function renderDiagnosticRows(container, rows) {
+    if (!container) return;
+
+    container.innerHTML = `
+        <tbody>
+            ${rows.map(([label, value]) => `
+                <tr>
+                    <th scope="row">${escapeHTML(label)}</th>
+                    <td>${escapeHTML(value ?? '—')}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Render the loaded model and library versions
+ */
+function renderDiagnosticModel() {
+    const model = getModelDiagnostics();
+
+    renderDiagnosticRows(elements.diagnosticsModel, [
+        ['Model', model.name],
+        ['Source', model.source],
+        ['Labels', model.labels.length > 0 ? model.labels.join(', ') : null],
+        ['Image size', model.imageSize ? String(model.imageSize) : null],
+        ['Architecture', model.architecture],
+        ['Trained with', model.trainedWith],
+        ['tmPose', model.tmPoseVersion],
+        ['tfjs', model.tfjsVersion ? `${model.tfjsVersion}${model.backend ? ` (${model.backend})` : ''}` : null]
+    ]);
+}
+
+/**
+ * Render pose estimation, classification and frame timings
+ */
+function renderDiagnosticTimings() {
+    const timings = state.diagnostics.timings;
+    const estimate = summarizeTimings(timings.map(timing => timing.estimate));
+    const classify = summarizeTimings(timings.map(timing => timing.classify));
+    const format = stats => stats
+        ? `${stats.last.toFixed(1)} last · ${stats.mean.toFixed(1)} mean · ${stats.p95.toFixed(1)} p95 · ${stats.max.toFixed(1)} max`
+        : null;
+    const inference = state.inference;
+
+    renderDiagnosticRows(elements.diagnosticsTimings, [
+        ['Pose estimate (ms)', format(estimate)],
+        ['Classify (ms)', format(classify)],
+        ['Render / inference fps', inference ? `${inference.renderFps.toFixed(1)} / ${inference.inferenceFps.toFixed(1)}` : null],
+        ['Samples', String(timings.length)],
+        ['Consecutive errors', String(state.predictionErrors)]
+    ]);
+}
+
+/**
+ * Render the raw and smoothed class probabilities
+ */
+function renderDiagnosticProbabilities() {
+    const container = elements.diagnosticsProbabilities;
+    if (!container) return;
+
+    const { rawPrediction, prediction } = state.diagnostics;
+    if (!rawPrediction) {
+        container.innerHTML = '<tbody><tr><td>No prediction yet</td></tr></tbody>';
+        return;
+    }
+
+    container.innerHTML = `
+        <thead>
+            <tr>
+                <th>Class</th>
+                <th>Raw</th>
+                <th>Smoothed</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rawPrediction.map((pred, i) => `
+                <tr>
+                    <td>${escapeHTML(pred.className)}</td>
+                    <td>${pred.probability.toFixed(4)}</td>
+                    <td>${prediction?.[i] ? prediction[i].probability.toFixed(4) : '—'}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Render the latest keypoints and their scores
+ */
+function renderDiagnosticKeypoints() {
+    const container = elements.diagnosticsKeypoints;
+    if (!container) return;
+
+    const keypoints = state.lastPose?.keypoints;
+    if (!keypoints) {
+        container.innerHTML = '<tbody><tr><td>No pose yet</td></tr></tbody>';
+        return;
+    }
+
+    container.innerHTML = `
+        <thead>
+            <tr>
+                <th>Keypoint</th>
+                <th>x</th>
+                <th>y</th>
+                <th>Score</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${keypoints.map(keypoint => `
+                <tr class="${keypoint.score < CONFIG.MIN_POSE_CONFIDENCE ? 'diagnostics-low' : ''}">
+                    <td>${escapeHTML(keypoint.part)}</td>
+                    <td>${Math.round(keypoint.position.x)}</td>
+                    <td>${Math.round(keypoint.position.y)}</td>
+                    <td>${keypoint.score.toFixed(2)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Render the most recent errors, newest first
+ */
+function renderDiagnosticErrors() {
+    const container = elements.diagnosticsErrors;
+    if (!container) return;
+
+    const errors = state.diagnostics.errors;
+    if (errors.length === 0) {
+        container.innerHTML = '<li class="small-text">No errors recorded</li>';
+        return;
+    }
+
+    container.innerHTML = [...errors].reverse().map(entry => `
+        <li>
+            <span class="diagnostics-error-meta">${escapeHTML(new Date(entry.at).toLocaleTimeString())} · ${escapeHTML(entry.context)}${entry.count > 1 ? ` ×${entry.count}` : ''}</span>
+            ${escapeHTML(entry.message)}
+        </li>
+    `).join('');
+}
+
+/**
+ * Plain-text report of the environment, model, settings, timings and recent errors
+ */
+function buildBugReport() {
+    const model = getModelDiagnostics();
+    const timings = state.diagnostics.timings;
+    const estimate = summarizeTimings(timings.map(timing => timing.estimate));
+    const classify = summarizeTimings(timings.map(timing => timing.classify));
+    const round = stats => stats ? `${stats.mean.toFixed(1)}ms mean, ${stats.p95.toFixed(1)}ms p95` : 'n/a';
+
+    const lines = [
+        'Pose Duration Tracker bug report',
+        `Generated: ${new Date().toISOString()}`,
+        `Page: ${window.location.href}`,
+        `User agent: ${navigator.userAgent}`,
+        '',
+        '## Model',
+        `Name: ${model.name || 'none loaded'}`,
+        `Source: ${model.source || 'n/a'}`,
+        `Labels: ${model.labels.join(', ') || 'n/a'}`,
+        `Image size: ${model.imageSize || 'n/a'}`,
+        `Trained with: ${model.trainedWith || 'n/a'}`,
+        `Runtime: tmPose ${model.tmPoseVersion || '?'} / tfjs ${model.tfjsVersion || '?'} (${model.backend || '?'} backend)`,
+        '',
+        '## Settings',
+        `Source: ${state.videoSource}, task mode: ${state.isTaskMode}, paused: ${state.isPaused}`,
+        `Frame size: ${state.frameSize.width}x${state.frameSize.height}, mirrored: ${shouldMirror()}`,
+        `Threshold: ${getConfidenceThreshold()}, exit: ${getExitThreshold()}`,
+        `Smoothing: ${getSmoothingMethod()} (${getSmoothingWindow()} frames)`,
+        `Inference target: ${getInferenceTargetFps() || 'unlimited'} fps`,
+        '',
+        '## Timings',
+        `Pose estimate: ${round(estimate)}`,
+        `Classify: ${round(classify)}`,
+        `Samples: ${timings.length}`,
+        '',
+        `## Recent errors (${state.diagnostics.errors.length})`
+    ];
+
+    state.diagnostics.errors.forEach(entry => {
+        lines.push(`[${entry.at}] ${entry.context}${entry.count > 1 ? ` (x${entry.count})` : ''}: ${entry.message}`);
+        if (entry.stack) lines.push(entry.stack.split('\n').map(line => `    ${line.trim()}`).join('\n'));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Copy the bug report to the clipboard, downloading it when clipboard access is unavailable
+ */
+async function copyBugReport() {
+    const report = buildBugReport();
+
+    try {
+        await navigator.clipboard.writeText(report);
+        showToast('Bug report copied to clipboard', 'success');
+    } catch (error) {
+        downloadFile(report, 'pose-tracker-bug-report.txt', 'text/plain');
+        showToast('Clipboard unavailable, bug report downloaded instead', 'warning');
+    }
+}
+
+/**
+ * Forget recorded errors
+ */
+function clearDiagnosticErrors() {
+    state.diagnostics.errors = [];
+    renderDiagnosticErrors();
+}
+
+// ============================================
+// Prediction Smoothing
+// ============================================
+
+/**
+ * Create smoothing state for the current method and window size
+ */
+function createSmoother() {
+    return {
+        method: getSmoothingMethod(),
+        window: getSmoothingWindow(),
+        ema: null,      // Running averages by class index
+        frames: []      // Recent raw predictions for majority vote
+    };
+}
+
+/**
+ * Discard smoothing history, e.g. when a task starts or settings change
+ */
+function resetSmoother() {
+    state.smoother = createSmoother();
+}
+
+/**
+ * Smooth a raw prediction over recent frames.
+ * - ema: exponential moving average with alpha = 2 / (window + 1)
+ * - majority: the class that was top most often in the window wins; its
+ *   probability is its mean confidence over the frames it won, and other
+ *   classes get their window mean, capped so the winner stays on top
+ */
+function smoothPrediction(prediction) {
+    if (!prediction || prediction.length === 0) return prediction;
+
+    if (!state.smoother) resetSmoother();
+    const smoother = state.smoother;
+
+    if (smoother.method === 'ema') {
+        const alpha = 2 / (smoother.window + 1);
+        if (!smoother.ema || smoother.ema.length !== prediction.length) {
+            smoother.ema = prediction.map(pred => pred.probability);
+        } else {
+            smoother.ema = smoother.ema.map((prev, i) => prev + alpha * (prediction[i].probability - prev));
+        }
+        return prediction.map((pred, i) => ({ ...pred, probability: smoother.ema[i] }));
+    }
+
+    if (smoother.method === 'majority') {
+        smoother.frames.push(prediction.map(pred => pred.probability));
+        if (smoother.frames.length > smoother.window) smoother.frames.shift();
+
+        const votes = new Array(prediction.length).fill(0);
+        const winningConfidence = new Array(prediction.length).fill(0);
+        const sums = new Array(prediction.length).fill(0);
+        smoother.frames.forEach(frame => {
+            const top = frame.indexOf(Math.max(...frame));
+            votes[top]++;
+            winningConfidence[top] += frame[top];
+            frame.forEach((p, i) => { sums[i] += p; });
+        });
+
+        const winner = votes.indexOf(Math.max(...votes));
+        const winnerProbability = winningConfidence[winner] / votes[winner];
+        return prediction.map((pred, i) => ({
+            ...pred,
+            probability: i === winner
+                ? winnerProbability
+                : Math.min(sums[i] / smoother.frames.length, winnerProbability)
+        }));
+    }
+
+    return prediction;
+}
+
+// ============================================
+// Pose Segment Tracking
+// ============================================
+
+/**
+ * Create an empty segment tracker.
+ *
+ * The tracker is a small state machine over the prediction stream:
+ * - candidate: top pose above the enter threshold, not yet held for the minimum hold time
+ * - active: confirmed pose, kept while above the exit threshold and for up to
+ *   the grace gap after it drops out
+ */
+function createSegmentTracker() {
+    return {
+        candidate: null, // { className, start, lastSeen, confidenceSum, frames }
+        active: null,    // Same shape as candidate, promoted once held long enough
+        totals: {}       // Held seconds per class from closed segments
+    };
+}
+
+/**
+ * Close the active segment at the last frame its pose was seen
+ */
+function closeActiveSegment(tracker) {
+    const active = tracker.active;
+    if (!active) return;
+
+    const segment = {
+        className: active.className,
+        start: active.start,
+        end: active.lastSeen,
+        meanConfidence: active.frames > 0 ? active.confidenceSum / active.frames : 0
+    };
+
+    state.poseSegments.push(segment);
+    tracker.totals[segment.className] = (tracker.totals[segment.className] || 0) + (segment.end - segment.start);
+    tracker.active = null;
+}
+
+/**
+ * Mirror closed segment totals plus the open segment into state.classDurations
+ */
+function syncClassDurations(tracker) {
+    Object.keys(state.classDurations).forEach(key => {
+        state.classDurations[key] = 0;
+    });
+    Object.entries(tracker.totals).forEach(([className, total]) => {
+        state.classDurations[className] = total;
+    });
+
+    if (tracker.active) {
+        const { className, start, lastSeen } = tracker.active;
+        state.classDurations[className] = (state.classDurations[className] || 0) + (lastSeen - start);
+    }
+}
+
+/**
+ * Feed one frame of predictions into the segment tracker
+ * @param {Array} prediction - [{ className, probability }]
+ * @param {number} now - Task clock in seconds
+ */
+function updatePoseSegments(prediction, now) {
+    const tracker = state.segmentTracker;
+    if (!tracker || !prediction || prediction.length === 0) return;
+
+    const topPred = prediction.reduce((max, p) => p.probability > max.probability ? p : max, prediction[0]);
+    const challenger = topPred.probability >= getClassThresholds(topPred.className).enter ? topPred : null;
+
+    // Active pose: held while above the exit threshold and not overtaken by another pose
+    if (tracker.active) {
+        const active = tracker.active;
+        const activePred = prediction.find(p => p.className === active.className);
+        const probability = activePred ? activePred.probability : 0;
+        const overtaken = challenger && challenger.className !== active.className;
+
+        if (probability >= getClassThresholds(active.className).exit && !overtaken) {
+            active.lastSeen = now;
+            active.confidenceSum += probability;
+            active.frames++;
+        } else if (now - active.lastSeen > getGraceGap()) {
+            closeActiveSegment(tracker);
+        }
+    }
+
+    // Candidate pose: must stay above the enter threshold for the minimum hold time
+    if (challenger && challenger.className !== tracker.active?.className) {
+        const candidate = tracker.candidate;
+        if (candidate && candidate.className === challenger.className) {
+            candidate.lastSeen = now;
+            candidate.confidenceSum += challenger.probability;
+            candidate.frames++;
+        } else {
+            tracker.candidate = {
+                className: challenger.className,
+                start: now,
+                lastSeen: now,
+                confidenceSum: challenger.probability,
+                frames: 1
+            };
+        }
+
+        if (now - tracker.candidate.start >= getMinHoldTime()) {
+            closeActiveSegment(tracker);
+            tracker.active = tracker.candidate;
+            tracker.candidate = null;
+        }
+    } else {
+        tracker.candidate = null;
+    }
+
+    syncClassDurations(tracker);
+}
+
+/**
+ * Close any open segment at the end of a task
+ */
+function finalizePoseSegments() {
+    const tracker = state.segmentTracker;
+    if (!tracker) return;
+
+    closeActiveSegment(tracker);
+    tracker.candidate = null;
+    syncClassDurations(tracker);
+}
+
+// ============================================
+// Session Timeline
+// ============================================
+
+/**
+ * Create an empty session timeline.
+ * Frames are compact arrays [t, p0, p1, ...]: t is the task clock in seconds
+ * and pN is the probability of labels[N].
+ */
+function createTimeline() {
+    return {
+        labels: [],
+        interval: CONFIG.TIMELINE_SAMPLE_INTERVAL,
+        frames: [],
+        frameSize: [state.frameSize.width, state.frameSize.height],
+        keypoints: [],  // Per frame: flat [x, y, score%] in KEYPOINT_NAMES order as displayed, or null
+        keypointStep: 1 // Timeline frames per stored keypoint frame
+    };
+}
+
+/**
+ * Copy a timeline for saving, keeping every Nth keypoint frame so at most
+ * TIMELINE_KEYPOINT_LIMIT remain; probabilities are kept for every frame
+ */
+function compactTimeline(timeline) {
+    if (!timeline || timeline.keypoints.length <= CONFIG.TIMELINE_KEYPOINT_LIMIT) return timeline;
+
+    const step = Math.ceil(timeline.keypoints.length / CONFIG.TIMELINE_KEYPOINT_LIMIT);
+    return {
+        ...timeline,
+        keypoints: timeline.keypoints.filter((_, i) => i % step === 0),
+        keypointStep: step
+    };
+}
+
+/**
+ * Pack pose keypoints as integers for storage; no camera images are kept
+ */
+function packKeypoints(pose) {
+    if (!pose || !pose.keypoints) return null;
+
+    const byName = {};
+    getDisplayKeypoints(pose, state.frameSize.width).forEach(kp => {
+        byName[kp.part] = kp;
+    });
+
+    const packed = [];
+    KEYPOINT_NAMES.forEach(name => {
+        const kp = byName[name];
+        packed.push(
+            kp ? Math.round(kp.position.x) : 0,
+            kp ? Math.round(kp.position.y) : 0,
+            kp ? Math.round(kp.score * 100) : 0
+        );
+    });
+    return packed;
+}
+
+/**
+ * Unpack stored keypoints into the { part, position, score } shape used for drawing
+ */
+function unpackKeypoints(packed) {
+    return KEYPOINT_NAMES.map((part, i) => ({
+        part,
+        position: { x: packed[i * 3], y: packed[i * 3 + 1] },
+        score: packed[i * 3 + 2] / 100
+    }));
+}
+
+/**
+ * Record one frame of class probabilities and keypoints, throttled to the sample interval
+ */
+function recordTimelineFrame(prediction, now, pose) {
+    const timeline = state.timeline;
+    if (!timeline || !prediction || prediction.length === 0) return;
+
+    if (timeline.labels.length === 0) {
+        timeline.labels = prediction.map(pred => pred.className);
+    }
+
+    const lastFrame = timeline.frames[timeline.frames.length - 1];
+    if (lastFrame && now - lastFrame[0] < timeline.interval) return;
+
+    const frame = [parseFloat(now.toFixed(2))];
+    timeline.labels.forEach(label => {
+        const pred = prediction.find(p => p.className === label);
+        frame.push(pred ? parseFloat(pred.probability.toFixed(3)) : 0);
+    });
+    timeline.frames.push(frame);
+    timeline.keypoints.push(packKeypoints(pose));
+}
+
+/**
+ * Find the index of the last timeline frame at or before the given time
+ */
+function findTimelineFrameIndex(timeline, time) {
+    const frames = timeline.frames;
+    let low = 0;
+    let high = frames.length - 1;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid][0] <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Find the last timeline frame at or before the given time
+ */
+function findTimelineFrame(timeline, time) {
+    return timeline.frames[findTimelineFrameIndex(timeline, time)];
+}
+
+/**
+ * Render the session timeline as a Gantt-style ribbon:
+ * one row per class, shaded by probability, with held segments outlined
+ */
+function renderSessionTimeline(timeline, segments = []) {
+    const canvas = elements.summaryTimelineCanvas;
+    if (!canvas) return;
+
+    if (!timeline || timeline.frames.length === 0) {
+        elements.summaryTimelineContainer?.classList.add('hidden');
+        summaryTimeline = null;
+        return;
+    }
+    elements.summaryTimelineContainer?.classList.remove('hidden');
+
+    const timelineCtx = canvas.getContext('2d');
+    const labels = timeline.labels;
+    const frames = timeline.frames;
+
+    const rowHeight = 24;
+    const labelWidth = 110;
+    const axisHeight = 22;
+    const width = canvas.parentElement?.clientWidth || 600;
+    const height = labels.length * rowHeight + axisHeight;
+    const plotWidth = width - labelWidth;
+    const duration = Math.max(frames[frames.length - 1][0] + timeline.interval, timeline.interval);
+    const xFor = (t) => labelWidth + (t / duration) * plotWidth;
+
+    // Scale for high-DPI displays
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    timelineCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    timelineCtx.clearRect(0, 0, width, height);
+
+    // Row backgrounds and labels
+    timelineCtx.font = '12px "Space Grotesk", sans-serif';
+    timelineCtx.textBaseline = 'middle';
+    labels.forEach((label, row) => {
+        const y = row * rowHeight;
+        timelineCtx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+        timelineCtx.fillRect(labelWidth, y + 2, plotWidth, rowHeight - 4);
+        timelineCtx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        timelineCtx.fillText(label, 0, y + rowHeight / 2, labelWidth - 8);
+    });
+
+    // Probability ribbon
+    frames.forEach((frame, i) => {
+        const x0 = xFor(frame[0]);
+        const x1 = i + 1 < frames.length ? xFor(frames[i + 1][0]) : xFor(duration);
+        labels.forEach((_, row) => {
+            const probability = frame[row + 1];
+            if (probability < 0.05) return;
+            timelineCtx.fillStyle = getClassColor(row, labels.length, probability * 0.8);
+            timelineCtx.fillRect(x0, row * rowHeight + 4, Math.max(x1 - x0, 1), rowHeight - 8);
+        });
+    });
+
+    // Held segments
+    timelineCtx.lineWidth = 2;
+    segments.forEach(seg => {
+        const row = labels.indexOf(seg.className);
+        if (row < 0) return;
+        const x0 = xFor(seg.start);
+        timelineCtx.strokeStyle = getClassColor(row, labels.length, 1);
+        timelineCtx.strokeRect(x0, row * rowHeight + 3, Math.max(xFor(seg.end) - x0, 2), rowHeight - 6);
+    });
+
+    // Time axis
+    const steps = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800];
+    const step = steps.find(s => duration / s <= 8) || 3600;
+    const axisY = labels.length * rowHeight;
+    timelineCtx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    timelineCtx.textAlign = 'center';
+    for (let t = 0; t <= duration; t += step) {
+        const x = xFor(t);
+        timelineCtx.fillRect(x, axisY, 1, 4);
+        timelineCtx.fillText(formatClock(t), Math.min(Math.max(x, labelWidth + 12), width - 12), axisY + 13);
+    }
+    timelineCtx.textAlign = 'left';
+
+    summaryTimeline = { timeline, segments, labelWidth, plotWidth, duration };
+}
+
+/**
+ * Show a tooltip with time and class probabilities under the cursor
+ */
+function handleTimelineHover(event) {
+    const tooltip = elements.timelineTooltip;
+    if (!tooltip || !summaryTimeline) return;
+
+    const { timeline, labelWidth, plotWidth, duration } = summaryTimeline;
+    const x = event.offsetX;
+    if (x < labelWidth) {
+        tooltip.classList.add('hidden');
+        return;
+    }
+
+    const time = ((x - labelWidth) / plotWidth) * duration;
+    const frame = findTimelineFrame(timeline, time);
+    const rows = timeline.labels
+        .map((label, i) => ({ label, probability: frame[i + 1] }))
+        .sort((a, b) => b.probability - a.probability);
+
+    tooltip.innerHTML = `
+        <div class="timeline-tooltip-time">${formatClock(frame[0])} (${frame[0].toFixed(1)}s)</div>
+        ${rows.map((row, i) => `
+            <div${i === 0 ? ' class="timeline-tooltip-top"' : ''}>${escapeHTML(row.label)}: ${(row.probability * 100).toFixed(1)}%</div>
+        `).join('')}
+    `;
+    tooltip.style.left = Math.min(x + 12, labelWidth + plotWidth - 160) + 'px';
+    tooltip.style.top = event.offsetY + 12 + 'px';
+    tooltip.classList.remove('hidden');
+}
+
+/**
+ * Hide the timeline tooltip
+ */
+function hideTimelineTooltip() {
+    elements.timelineTooltip?.classList.add('hidden');
+}
+
+// ============================================
+// Skeleton Replay
+// ============================================
+
+/**
+ * Prepare the skeleton replay for a session timeline (hidden if it has no keypoints)
+ */
+function setupSkeletonReplay(timeline) {
+    stopSkeletonReplay();
+    skeletonReplay = null;
+
+    const canvas = elements.replayCanvas;
+    if (!canvas || !timeline?.keypoints?.some(Boolean)) {
+        elements.replayContainer?.classList.add('hidden');
+        return;
+    }
+
+    const [width, height] = timeline.frameSize || [CONFIG.WEBCAM_WIDTH, CONFIG.WEBCAM_HEIGHT];
+    canvas.width = width;
+    canvas.height = height;
+
+    skeletonReplay = {
+        timeline,
+        index: 0,
+        clock: timeline.frames[0][0],
+        playing: false,
+        lastTimestamp: null,
+        frameId: null
+    };
+
+    if (elements.replayScrubber) {
+        elements.replayScrubber.max = timeline.frames.length - 1;
+        elements.replayScrubber.value = 0;
+    }
+    elements.replayContainer?.classList.remove('hidden');
+    drawReplayFrame(0);
+}
+
+/**
+ * Draw one replay frame with its predicted class and confidence
+ */
+function drawReplayFrame(index) {
+    const replay = skeletonReplay;
+    const canvas = elements.replayCanvas;
+    if (!replay || !canvas) return;
+
+    const timeline = replay.timeline;
+    const frame = timeline.frames[index];
+    const packed = timeline.keypoints[Math.floor(index / (timeline.keypointStep || 1))];
+    const replayCtx = canvas.getContext('2d');
+    replay.index = index;
+
+    replayCtx.fillStyle = '#0f0f23';
+    replayCtx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (packed) {
+        drawSkeleton(replayCtx, unpackKeypoints(packed));
+    } else {
+        replayCtx.font = '16px "Space Grotesk", sans-serif';
+        replayCtx.fillStyle = '#64748b';
+        replayCtx.textAlign = 'center';
+        replayCtx.fillText('No pose', canvas.width / 2, canvas.height / 2);
+        replayCtx.textAlign = 'start';
+    }
+
+    const probabilities = frame.slice(1);
+    const topIndex = probabilities.indexOf(Math.max(...probabilities));
+    const info = `${formatClock(frame[0])} · ${timeline.labels[topIndex] ?? 'N/A'} ${((probabilities[topIndex] || 0) * 100).toFixed(0)}%`;
+    if (elements.replayInfo) elements.replayInfo.textContent = info;
+    if (elements.replayScrubber) elements.replayScrubber.value = index;
+}
+
+/**
+ * Play or pause the replay; playing from the end starts over
+ */
+function toggleSkeletonReplay() {
+    const replay = skeletonReplay;
+    if (!replay) return;
+
+    if (replay.playing) {
+        stopSkeletonReplay();
+        return;
+    }
+
+    const frames = replay.timeline.frames;
+    if (replay.index >= frames.length - 1) {
+        replay.index = 0;
+    }
+    replay.clock = frames[replay.index][0];
+    replay.playing = true;
+    replay.lastTimestamp = null;
+    if (elements.replayPlayButton) elements.replayPlayButton.textContent = '⏸ Pause';
+    replay.frameId = window.requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Advance the replay on the session clock, scaled by the chosen speed
+ */
+function replayLoop(timestamp) {
+    const replay = skeletonReplay;
+    if (!replay?.playing) return;
+
+    if (replay.lastTimestamp !== null) {
+        const speed = parseFloat(elements.replaySpeedSelect?.value) || 1;
+        replay.clock += (timestamp - replay.lastTimestamp) / 1000 * speed;
+    }
+    replay.lastTimestamp = timestamp;
+
+    const index = findTimelineFrameIndex(replay.timeline, replay.clock);
+    if (index !== replay.index) drawReplayFrame(index);
+
+    if (index >= replay.timeline.frames.length - 1) {
+        stopSkeletonReplay();
+        return;
+    }
+    replay.frameId = window.requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Jump to the scrubber position
+ */
+function seekSkeletonReplay() {
+    const replay = skeletonReplay;
+    if (!replay || !elements.replayScrubber) return;
+
+    const index = parseInt(elements.replayScrubber.value, 10) || 0;
+    replay.clock = replay.timeline.frames[index][0];
+    drawReplayFrame(index);
+}
+
+/**
+ * Pause the replay
+ */
+function stopSkeletonReplay() {
+    if (!skeletonReplay) return;
+
+    if (skeletonReplay.frameId) {
+        window.cancelAnimationFrame(skeletonReplay.frameId);
+        skeletonReplay.frameId = null;
+    }
+    skeletonReplay.playing = false;
+    if (elements.replayPlayButton) elements.replayPlayButton.textContent = '▶ Play';
+}
+
+// ============================================
+// Guided Routines
+// ============================================
+
+/**
+ * Load saved routines from localStorage
+ */
+function loadRoutines() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.ROUTINES_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Error loading routines:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist routines to localStorage
+ */
+function saveRoutines(routines) {
+    try {
+        localStorage.setItem(CONFIG.ROUTINES_STORAGE_KEY, JSON.stringify(routines));
+    } catch (error) {
+        console.error('Error saving routines:', error);
+        showToast('Could not save routine', 'error');
+    }
+}
+
+/**
+ * Get the class labels of the loaded model
+ */
+function getModelLabels() {
+    return Object.keys(state.classDurations);
+}
+
+/**
+ * Render the step rows of the routine builder
+ */
+function renderRoutineBuilder() {
+    if (!elements.routineSteps) return;
+
+    if (elements.routineNameInput) {
+        elements.routineNameInput.value = routineDraft.name;
+    }
+
+    if (routineDraft.steps.length === 0) {
+        elements.routineSteps.innerHTML = '<p class="small-text">No steps yet. Add a step to start building a routine.</p>';
+        return;
+    }
+
+    const labels = getModelLabels();
+    elements.routineSteps.innerHTML = routineDraft.steps.map((step, i) => {
+        // Keep classes from another model visible so the step can be fixed
+        const options = labels.includes(step.className) ? labels : [step.className, ...labels];
+        return `
+            <div class="routine-step" data-index="${i}">
+                <span class="routine-step-number">${i + 1}</span>
+                <select data-field="className" aria-label="Target pose for step ${i + 1}">
+                    ${options.map(label => `
+                        <option value="${escapeHTML(label)}" ${label === step.className ? 'selected' : ''}>${escapeHTML(label)}</option>
+                    `).join('')}
+                </select>
+                <label class="routine-step-field">
+                    Hold (s)
+                    <input type="number" data-field="holdSeconds" value="${escapeHTML(step.holdSeconds)}" min="1" step="1">
+                </label>
+                <label class="routine-step-field">
+                    Rest (s)
+                    <input type="number" data-field="restSeconds" value="${escapeHTML(step.restSeconds)}" min="0" step="1">
+                </label>
+                <button type="button" class="btn btn-secondary btn-icon" data-action="remove" aria-label="Remove step ${i + 1}">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render saved routines in the builder list and the task routine picker
+ */
+function updateRoutineLists() {
+    const routines = loadRoutines();
+    const labels = getModelLabels();
+
+    if (elements.routineList) {
+        if (routines.length === 0) {
+            elements.routineList.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 1rem;">No saved routines</p>';
+        } else {
+            elements.routineList.innerHTML = routines.map(routine => {
+                const compatible = routine.steps.every(step => labels.includes(step.className));
+                return `
+                    <div class="history-item" data-routine-id="${escapeHTML(routine.id)}">
+                        <span class="history-info">
+                            <span class="history-duration">${escapeHTML(routine.name)}</span>
+                            <span class="history-date">${routine.steps.length} steps${compatible ? '' : ' · needs other model'}</span>
+                        </span>
+                        <span class="btn-group">
+                            <button type="button" class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+                            <button type="button" class="btn btn-secondary btn-small" data-action="delete">Delete</button>
+                        </span>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    if (elements.routineSelect) {
+        const selected = elements.routineSelect.value;
+        elements.routineSelect.innerHTML = '<option value="">Free-form session</option>' +
+            routines
+                .filter(routine => routine.steps.every(step => labels.includes(step.className)))
+                .map(routine => `<option value="${escapeHTML(routine.id)}">🧭 ${escapeHTML(routine.name)}</option>`)
+                .join('');
+        elements.routineSelect.value = routines.some(r => r.id === selected) ? selected : '';
+    }
+}
+
+/**
+ * Add a step to the routine being edited
+ */
+function addRoutineStep() {
+    const labels = getModelLabels();
+    if (labels.length === 0) return;
+
+    // Default to the next pose after the previous step
+    const previous = routineDraft.steps[routineDraft.steps.length - 1];
+    const nextIndex = previous ? (labels.indexOf(previous.className) + 1) % labels.length : 0;
+    routineDraft.steps.push({ className: labels[nextIndex], holdSeconds: 10, restSeconds: 5 });
+    renderRoutineBuilder();
+}
+
+/**
+ * Save the routine being edited (new or existing)
+ */
+function saveRoutineDraft() {
+    const name = elements.routineNameInput?.value.trim() || '';
+    if (!name) {
+        showToast('Please name the routine', 'error');
+        return;
+    }
+    if (routineDraft.steps.length === 0) {
+        showToast('Add at least one step', 'error');
+        return;
+    }
+
+    const routines = loadRoutines();
+    const routine = {
+        id: routineDraft.id || Date.now().toString(36),
+        name,
+        steps: routineDraft.steps.map(step => ({ ...step }))
+    };
+
+    const existing = routines.findIndex(r => r.id === routine.id);
+    if (existing >= 0) {
+        routines[existing] = routine;
+    } else {
+        routines.push(routine);
+    }
+
+    saveRoutines(routines);
+    routineDraft = { ...routine, steps: routine.steps.map(step => ({ ...step })) };
+    updateRoutineLists();
+    showToast(`Routine "${escapeHTML(name)}" saved`, 'success');
+}
+
+/**
+ * Start a fresh routine in the builder
+ */
+function resetRoutineDraft() {
+    routineDraft = { id: null, name: '', steps: [] };
+    renderRoutineBuilder();
+}
+
+/**
+ * Handle edits to step rows (event delegation)
+ */
+function handleRoutineStepChange(e) {
+    const row = e.target.closest('.routine-step');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const step = routineDraft.steps[parseInt(row.dataset.index, 10)];
+    if (field === 'className') {
+        step.className = e.target.value;
+    } else {
+        const value = parseFloat(e.target.value);
+        const min = field === 'holdSeconds' ? 1 : 0;
+        step[field] = !isNaN(value) && value >= min ? value : min;
+        e.target.value = step[field];
+    }
+}
+
+/**
+ * Handle step removal (event delegation)
+ */
+function handleRoutineStepClick(e) {
+    const button = e.target.closest('[data-action="remove"]');
+    if (!button) return;
+
+    const row = button.closest('.routine-step');
+    routineDraft.steps.splice(parseInt(row.dataset.index, 10), 1);
+    renderRoutineBuilder();
+}
+
+/**
+ * Handle edit/delete on saved routines (event delegation)
+ */
+function handleRoutineListClick(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('[data-routine-id]');
+    if (!button || !item) return;
+
+    const routines = loadRoutines();
+    const routine = routines.find(r => r.id === item.dataset.routineId);
+    if (!routine) return;
+
+    if (button.dataset.action === 'edit') {
+        routineDraft = { ...routine, steps: routine.steps.map(step => ({ ...step })) };
+        renderRoutineBuilder();
+    } else if (button.dataset.action === 'delete') {
+        if (!confirm(`Delete routine "${routine.name}"?`)) return;
+        saveRoutines(routines.filter(r => r.id !== routine.id));
+        if (routineDraft.id === routine.id) resetRoutineDraft();
+        updateRoutineLists();
+        showToast('Routine deleted', 'success');
+    }
+}
+
+/**
+ * Get the routine picked for the next task, if any
+ */
+function getSelectedRoutine() {
+    const id = elements.routineSelect?.value;
+    if (!id) return null;
+    return loadRoutines().find(routine => routine.id === id) || null;
+}
+
+/**
+ * Create runtime state for a routine
+ */
+function createRoutineRun(routine) {
+    return {
+        id: routine.id,
+        name: routine.name,
+        steps: routine.steps.map(step => ({
+            ...step,
+            startedAt: null,
+            firstHoldAt: null,
+            completedAt: null,
+            currentHold: 0,
+            bestHold: 0
+        })),
+        index: 0,
+        phase: 'hold', // 'hold' or 'rest'
+        phaseStart: 0,
+        finished: false
+    };
+}
+
+/**
+ * Mask predictions that must not count: ignored classes always, and during a
+ * routine or interval run everything but the current target (nothing while resting)
+ */
+function getCountablePrediction(prediction) {
+    const run = state.routine;
+    const intervals = state.intervals;
+    let target = run && !run.finished && run.phase !== 'rest' ? run.steps[run.index].className : null;
+    if (intervals) {
+        target = !intervals.finished && intervals.phase === 'work' ? intervals.className : null;
+    }
+
+    return prediction.map(pred => {
+        const countable = !isClassIgnored(pred.className) && ((!run && !intervals) || pred.className === target);
+        return countable ? pred : { ...pred, probability: 0 };
+    });
+}
+
+/**
+ * Move to the next routine step, finishing the routine after the last one
+ */
+function advanceRoutineStep(run, now) {
+    run.index++;
+    run.phase = 'hold';
+    run.phaseStart = now;
+
+    if (run.index >= run.steps.length) {
+        run.index = run.steps.length - 1;
+        run.finished = true;
+    } else {
+        run.steps[run.index].startedAt = now;
+    }
+}
+
+/**
+ * Advance the routine based on the current held pose
+ * @param {number} now - Task clock in seconds
+ */
+function updateRoutine(now) {
+    const run = state.routine;
+    if (!run || run.finished) return;
+
+    const step = run.steps[run.index];
+
+    if (run.phase === 'rest') {
+        if (now - run.phaseStart >= step.restSeconds) {
+            advanceRoutineStep(run, now);
+        }
+        return;
+    }
+
+    if (step.startedAt === null) {
+        step.startedAt = now;
+    }
+
+    const active = state.segmentTracker?.active;
+    if (!active || active.className !== step.className) {
+        step.currentHold = 0;
+        return;
+    }
+
+    if (step.firstHoldAt === null) {
+        step.firstHoldAt = now;
+    }
+    step.currentHold = active.lastSeen - Math.max(active.start, step.startedAt);
+    step.bestHold = Math.max(step.bestHold, step.currentHold);
+
+    if (step.currentHold >= step.holdSeconds) {
+        step.completedAt = now;
+        const stepNumber = run.index + 1;
+        const isLast = stepNumber === run.steps.length;
+        if (step.restSeconds > 0 && !isLast) {
+            run.phase = 'rest';
+            run.phaseStart = now;
+        } else {
+            advanceRoutineStep(run, now);
+        }
+        showToast(isLast ? 'Routine complete!' : `Step ${stepNumber} complete!`, 'success');
+    }
+}
+
+/**
+ * Draw the current routine target on the canvas
+ */
+function drawRoutineOverlay(canvasWidth) {
+    const run = state.routine;
+    if (!ctx || !run || run.finished) return;
+
+    const step = run.steps[run.index];
+    const resting = run.phase === 'rest';
+    const next = run.steps[run.index + 1];
+
+    const title = resting ? `Rest · next: ${next?.className || ''}` : `Step ${run.index + 1}/${run.steps.length}: ${step.className}`;
+    const elapsed = resting ? state.taskClock - run.phaseStart : step.currentHold;
+    const target = resting ? step.restSeconds : step.holdSeconds;
+    const detail = resting ? `${Math.max(target - elapsed, 0).toFixed(0)}s left` : `${elapsed.toFixed(1)}s / ${target}s`;
+    const progress = target > 0 ? Math.min(elapsed / target, 1) : 1;
+
+    const boxWidth = 240;
+    const boxHeight = 62;
+    const x = canvasWidth - boxWidth - 12;
+    const y = 12;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+
+    ctx.font = '600 15px "Space Grotesk", sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = resting ? '#f59e0b' : '#f8fafc';
+    ctx.fillText(title, x + 12, y + 10, boxWidth - 24);
+
+    ctx.font = '12px "JetBrains Mono", monospace';
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText(detail, x + 12, y + 30, boxWidth - 24);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(x + 12, y + 48, boxWidth - 24, 6);
+    ctx.fillStyle = resting ? '#f59e0b' : '#10b981';
+    ctx.fillRect(x + 12, y + 48, (boxWidth - 24) * progress, 6);
+}
+
+/**
+ * Summarize a routine run for the summary and history
+ */
+function summarizeRoutineRun(run) {
+    const steps = run.steps.map(step => ({
+        className: step.className,
+        holdSeconds: step.holdSeconds,
+        restSeconds: step.restSeconds,
+        completed: step.completedAt !== null,
+        bestHold: parseFloat(Math.min(step.bestHold, step.holdSeconds).toFixed(2)),
+        timeToFirstHold: step.firstHoldAt !== null ? parseFloat((step.firstHoldAt - step.startedAt).toFixed(2)) : null
+    }));
+    const completedSteps = steps.filter(step => step.completed).length;
+
+    return {
+        id: run.id,
+        name: run.name,
+        completion: steps.length > 0 ? completedSteps / steps.length : 0,
+        steps
+    };
+}
+
+/**
+ * Render per-step routine results in the summary
+ */
+function renderRoutineSummary(result) {
+    if (!elements.routineSummary) return;
+
+    if (!result) {
+        elements.routineSummary.innerHTML = '';
+        elements.routineSummary.classList.add('hidden');
+        return;
+    }
+
+    const completedSteps = result.steps.filter(step => step.completed).length;
+    elements.routineSummary.innerHTML = `
+        <div class="chart-title">Routine: ${escapeHTML(result.name)} · ${(result.completion * 100).toFixed(0)}% complete (${completedSteps}/${result.steps.length} steps)</div>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Step</th>
+                    <th>Pose</th>
+                    <th>Target</th>
+                    <th>Best Hold</th>
+                    <th>First Hold After</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.steps.map((step, i) => `
+                    <tr>
+                        <td>${i + 1}</td>
+                        <td>${escapeHTML(step.className)}</td>
+                        <td>${formatTime(step.holdSeconds)}</td>
+                        <td>${formatTime(step.bestHold)}</td>
+                        <td>${step.timeToFirstHold !== null ? formatTime(step.timeToFirstHold) : '—'}</td>
+                        <td>${step.completed ? '✓ Done' : '✕ Not reached'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    elements.routineSummary.classList.remove('hidden');
+}
+
+// ============================================
+// Rep Counting
+// ============================================
+
+/**
+ * Fill the rep start/end pose selects from the model labels
+ */
+function renderRepSelects() {
+    const labels = getModelLabels();
+    [elements.repStartSelect, elements.repEndSelect].forEach((select, i) => {
+        if (!select) return;
+        const selected = labels.includes(select.value) ? select.value : labels[Math.min(i, labels.length - 1)];
+        select.innerHTML = labels.map(label =>
+            `<option value="${escapeHTML(label)}">${escapeHTML(label)}</option>`
+        ).join('');
+        if (selected !== undefined) select.value = selected;
+    });
+}
+
+/**
+ * Show the settings of the selected tracking mode (rep poses or interval rounds)
+ */
+function updateTaskModeControls() {
+    const mode = elements.taskModeSelect?.value;
+    elements.repPoseSelects?.classList.toggle('hidden', mode !== 'reps');
+    elements.intervalSettings?.classList.toggle('hidden', mode !== 'intervals');
+}
+
+/**
+ * Get the selected rep poses, or null when counting durations only
+ */
+function getRepSettings() {
+    if (elements.taskModeSelect?.value !== 'reps') return null;
+
+    const startClass = elements.repStartSelect?.value;
+    const endClass = elements.repEndSelect?.value;
+    if (!startClass || !endClass || startClass === endClass) return null;
+
+    return { startClass, endClass };
+}
+
+/**
+ * Check the rep poses can be counted, warning when start and end are the same pose
+ */
+function checkRepSettings() {
+    if (elements.taskModeSelect?.value !== 'reps') return true;
+    if (elements.repStartSelect?.value !== elements.repEndSelect?.value) return true;
+
+    showToast('Choose different start and end poses to count reps', 'error');
+    return false;
+}
+
+/**
+ * Create a rep counting run
+ */
+function createRepCounter(settings) {
+    return {
+        startClass: settings.startClass,
+        endClass: settings.endClass,
+        phase: 'idle',          // 'idle', 'start' (in A) or 'end' (reached B)
+        repStart: null,         // Task time the current rep began
+        lastSegment: null,      // Active segment already handled
+        reps: []                // Completed reps: { start, end }
+    };
+}
+
+/**
+ * Advance the rep counter from the segment tracker.
+ * Working from held segments means min-hold and grace-gap filtering apply to reps too.
+ * A rep is start → end → start; it runs from one entry into the start pose to the next.
+ */
+function updateRepCounter() {
+    const counter = state.repCounter;
+    const active = state.segmentTracker?.active;
+    if (!counter || !active || active === counter.lastSegment) return;
+
+    counter.lastSegment = active;
+
+    if (active.className === counter.startClass) {
+        if (counter.phase === 'end') {
+            counter.reps.push({ start: counter.repStart, end: active.start });
+            if (elements.repCountDisplay) {
+                elements.repCountDisplay.textContent = counter.reps.length;
+            }
+        }
+        counter.repStart = active.start;
+        counter.phase = 'start';
+    } else if (active.className === counter.endClass && counter.phase === 'start') {
+        counter.phase = 'end';
+    }
+}
+
+/**
+ * Summarize a rep counting run for the stored session
+ */
+function summarizeRepCounter(counter) {
+    return {
+        startClass: counter.startClass,
+        endClass: counter.endClass,
+        count: counter.reps.length,
+        reps: counter.reps.map(rep => ({
+            start: parseFloat(rep.start.toFixed(2)),
+            end: parseFloat(rep.end.toFixed(2))
+        }))
+    };
+}
+
+/**
+ * Render rep totals, timing and cadence in the summary
+ */
+function renderRepSummary(result) {
+    if (!elements.repSummary) return;
+
+    if (repCadenceChart) {
+        repCadenceChart.destroy();
+        repCadenceChart = null;
+    }
+
+    if (!result) {
+        elements.repSummary.classList.add('hidden');
+        return;
+    }
+
+    const durations = result.reps.map(rep => rep.end - rep.start);
+    const average = durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : 0;
+    const span = result.reps.length > 0 ? result.reps[result.reps.length - 1].end - result.reps[0].start : 0;
+    const cadence = span > 0 ? result.count / span * 60 : 0;
+
+    const stats = [
+        ['Total Reps', result.count],
+        ['Avg Rep Time', durations.length > 0 ? formatTime(average) : '—'],
+        ['Cadence', durations.length > 0 ? `${cadence.toFixed(1)}/min` : '—'],
+        ['Fastest Rep', durations.length > 0 ? formatTime(Math.min(...durations)) : '—'],
+        ['Slowest Rep', durations.length > 0 ? formatTime(Math.max(...durations)) : '—']
+    ];
+
+    elements.repSummary.querySelector('.chart-title').textContent =
+        `Reps: ${result.startClass} → ${result.endClass} → ${result.startClass}`;
+    elements.repSummary.querySelector('.summary-stats').innerHTML = stats.map(([label, value]) => `
+        <div class="summary-stat">
+            <div class="summary-stat-value">${value}</div>
+            <div class="summary-stat-label">${label}</div>
+        </div>
+    `).join('');
+    elements.repSummary.classList.remove('hidden');
+
+    createRepCadenceChart(result.reps);
+}
+
+// ============================================
+// Interval Training
+// ============================================
+
+/**
+ * Fill the interval pose select from the model labels
+ */
+function renderIntervalSelect() {
+    const select = elements.intervalPoseSelect;
+    if (!select) return;
+
+    const labels = getModelLabels();
+    const selected = labels.includes(select.value) ? select.value : labels[0];
+    select.innerHTML = labels.map(label =>
+        `<option value="${escapeHTML(label)}">${escapeHTML(label)}</option>`
+    ).join('');
+    if (selected !== undefined) select.value = selected;
+}
+
+/**
+ * Read a whole number of at least `min` from an input, or the default
+ */
+function readWholeNumber(input, min, fallback) {
+    const value = parseInt(input?.value, 10);
+    return !isNaN(value) && value >= min ? value : fallback;
+}
+
+/**
+ * Get the interval settings, or null when not in interval mode
+ */
+function getIntervalSettings() {
+    if (elements.taskModeSelect?.value !== 'intervals') return null;
+
+    const className = elements.intervalPoseSelect?.value;
+    if (!className) return null;
+
+    return {
+        className,
+        rounds: readWholeNumber(elements.intervalRoundsInput, 1, CONFIG.INTERVAL_ROUNDS),
+        workSeconds: readWholeNumber(elements.intervalWorkInput, 1, CONFIG.INTERVAL_WORK),
+        restSeconds: readWholeNumber(elements.intervalRestInput, 0, CONFIG.INTERVAL_REST)
+    };
+}
+
+/**
+ * Create an interval training run. Phases run on the task clock; during work only the
+ * chosen pose accrues time and during rest nothing does (see getCountablePrediction).
+ */
+function createIntervalRun(settings) {
+    return {
+        ...settings,
+        index: 0,          // Current round
+        phase: 'work',     // 'work' or 'rest'
+        phaseStart: 0,     // Task time the current phase began
+        baseline: 0,       // Pose time accrued before the current work phase
+        finished: false,
+        results: [{ work: 0, held: 0 }] // Per started round, in seconds
+    };
+}
+
+/**
+ * Enter a new phase, cueing the change unless analyzing a video
+ */
+function startIntervalPhase(run, phase, now) {
+    if (phase === 'work') {
+        run.index++;
+        run.baseline = state.classDurations[run.className] || 0;
+        run.results.push({ work: 0, held: 0 });
+    }
+    run.phase = phase;
+    run.phaseStart = now;
+
+    if (state.videoSource !== 'file') {
+        playChime(phase === 'work' ? 'enter' : 'exit');
+        speak(phase === 'work' ? `Round ${run.index + 1}` : 'Rest');
+    }
+}
+
+/**
+ * Advance the interval run and update the current round's held time.
+ * Each phase starts when the previous one was due to end rather than at the first
+ * frame after it, so phases keep to schedule however often inference runs.
+ * @param {number} now - Task clock in seconds
+ */
+function updateIntervals(now) {
+    const run = state.intervals;
+
+    while (run && !run.finished) {
+        if (run.phase === 'rest') {
+            const restEnd = run.phaseStart + run.restSeconds;
+            if (now < restEnd) return;
+            startIntervalPhase(run, 'work', restEnd);
+            continue;
+        }
+
+        const result = run.results[run.index];
+        result.work = Math.min(now - run.phaseStart, run.workSeconds);
+        result.held = Math.min(Math.max((state.classDurations[run.className] || 0) - run.baseline, 0), result.work);
+
+        const workEnd = run.phaseStart + run.workSeconds;
+        if (now < workEnd) return;
+
+        if (run.index + 1 >= run.rounds) {
+            run.finished = true;
+        } else {
+            startIntervalPhase(run, run.restSeconds > 0 ? 'rest' : 'work', workEnd);
+        }
+    }
+}
+
+/**
+ * Current round and phase with the seconds left in it, for the task timer
+ */
+function getIntervalStatus(run, now) {
+    const length = run.phase === 'work' ? run.workSeconds : run.restSeconds;
+    return {
+        label: `Round ${run.index + 1}/${run.rounds} · ${run.phase === 'work' ? 'Work' : 'Rest'}`,
+        remaining: Math.max(length - (now - run.phaseStart), 0)
+    };
+}
+
+/**
+ * Summarize an interval run for the stored session
+ */
+function summarizeIntervals(run, classDurations) {
+    // Settle the round in progress against the final (closed) pose durations
+    if (!run.finished && run.phase === 'work') {
+        const result = run.results[run.index];
+        result.held = Math.min(Math.max((classDurations[run.className] || 0) - run.baseline, 0), result.work);
+    }
+
+    const results = run.results.map((result, i) => ({
+        round: i + 1,
+        work: parseFloat(result.work.toFixed(2)),
+        held: parseFloat(result.held.toFixed(2))
+    }));
+
+    return {
+        className: run.className,
+        rounds: run.rounds,
+        workSeconds: run.workSeconds,
+        restSeconds: run.restSeconds,
+        completedRounds: results.filter(result => result.work >= run.workSeconds).length,
+        work: parseFloat(results.reduce((sum, result) => sum + result.work, 0).toFixed(2)),
+        held: parseFloat(results.reduce((sum, result) => sum + result.held, 0).toFixed(2)),
+        results
+    };
+}
+
+/**
+ * Render per-round held time versus work time in the summary
+ */
+function renderIntervalSummary(result) {
+    if (!elements.intervalSummary) return;
+
+    if (!result) {
+        elements.intervalSummary.innerHTML = '';
+        elements.intervalSummary.classList.add('hidden');
+        return;
+    }
+
+    const percentOf = (held, work) => work > 0 ? `${(held / work * 100).toFixed(0)}%` : '—';
+    elements.intervalSummary.innerHTML = `
+        <div class="chart-title">Intervals: ${escapeHTML(result.className)} · ${result.completedRounds}/${result.rounds} rounds · ${percentOf(result.held, result.work)} held</div>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Round</th>
+                    <th>Work</th>
+                    <th>Held</th>
+                    <th>Held %</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.results.map(round => `
+                    <tr>
+                        <td>${round.round}</td>
+                        <td>${formatTime(round.work)}</td>
+                        <td>${formatTime(round.held)}</td>
+                        <td>${percentOf(round.held, round.work)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    elements.intervalSummary.classList.remove('hidden');
+}
+
+// ============================================
+// Pose Goals
+// ============================================
+
+/**
+ * Per-class duration goals in seconds for the loaded model (ignored classes never count)
+ */
+function getClassGoals() {
+    return getModelLabels()
+        .filter(className => !isClassIgnored(className) && state.classSettings[className]?.goal > 0)
+        .map(className => ({ className, target: state.classSettings[className].goal }));
+}
+
+/**
+ * Whether the task should end once every goal is met
+ */
+function shouldEndOnGoals() {
+    return !!elements.goalsEndCheckbox?.checked;
+}
+
+/**
+ * Create goal progress for a task, or null when no goals are set
+ */
+function createGoalTracker() {
+    const items = getClassGoals();
+    if (items.length === 0) return null;
+
+    return {
+        endOnGoals: shouldEndOnGoals(),
+        items: items.map(item => ({ ...item, achieved: 0, metAt: null })) // metAt: task time the goal was reached
+    };
+}
+
+/**
+ * Build the live goal progress bars shown next to the confidence chart
+ */
+function setupGoalProgress() {
+    const goals = state.goals;
+    elements.goalProgress?.classList.toggle('hidden', !goals);
+    if (!goals || !elements.goalProgressList) return;
+
+    elements.goalProgressList.innerHTML = goals.items.map(goal => `
+        <div class="goal-row">
+            <div class="goal-row-header">
+                <span>${escapeHTML(goal.className)}</span>
+                <span class="goal-row-value">${formatTime(0)} / ${formatTime(goal.target)}</span>
+            </div>
+            <div class="goal-bar"><div class="goal-bar-fill"></div></div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Refresh the goal progress bars
+ */
+function renderGoalProgress() {
+    const goals = state.goals;
+    if (!goals || !elements.goalProgressList) return;
+
+    goals.items.forEach((goal, i) => {
+        const row = elements.goalProgressList.children[i];
+        if (!row) return;
+
+        const fraction = Math.min(goal.achieved / goal.target, 1);
+        row.classList.toggle('met', goal.metAt !== null);
+        row.querySelector('.goal-bar-fill').style.width = `${(fraction * 100).toFixed(1)}%`;
+        row.querySelector('.goal-row-value').textContent = `${formatTime(goal.achieved)} / ${formatTime(goal.target)}`;
+    });
+}
+
+/**
+ * Track goal progress from the accrued pose durations, celebrating each goal once.
+ * Marks the task for ending when every goal is met and auto-end is enabled.
+ */
+function updateGoals(frameTime) {
+    const goals = state.goals;
+    if (!goals) return;
+
+    goals.items.forEach(goal => {
+        goal.achieved = state.classDurations[goal.className] || 0;
+        if (goal.metAt === null && goal.achieved >= goal.target) {
+            goal.metAt = frameTime;
+            showToast(`🎯 Goal met: ${escapeHTML(goal.className)} (${formatTime(goal.target)})`, 'success');
+            if (state.videoSource !== 'file') playChime('goal');
+        }
+    });
+    renderGoalProgress();
+
+    if (goals.endOnGoals && goals.items.every(goal => goal.metAt !== null)) {
+        state.endedBy = 'goals';
+    }
+}
+
+/**
+ * Summarize goal attainment for the stored session
+ */
+function summarizeGoals(goals, classDurations) {
+    const items = goals.items.map(goal => {
+        const achieved = classDurations[goal.className] || 0;
+        return {
+            className: goal.className,
+            target: goal.target,
+            achieved: parseFloat(achieved.toFixed(2)),
+            metAt: goal.metAt !== null ? parseFloat(goal.metAt.toFixed(2)) : null
+        };
+    });
+
+    return {
+        endOnGoals: goals.endOnGoals,
+        met: items.filter(goal => goal.metAt !== null).length,
+        total: items.length,
+        goals: items
+    };
+}
+
+/**
+ * Render goal attainment in the summary
+ */
+function renderGoalSummary(result) {
+    if (!elements.goalSummary) return;
+
+    if (!result) {
+        elements.goalSummary.innerHTML = '';
+        elements.goalSummary.classList.add('hidden');
+        return;
+    }
+
+    elements.goalSummary.innerHTML = `
+        <div class="chart-title">Goals: ${result.met}/${result.total} met</div>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Pose</th>
+                    <th>Goal</th>
+                    <th>Achieved</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.goals.map(goal => `
+                    <tr>
+                        <td>${escapeHTML(goal.className)}</td>
+                        <td>${formatTime(goal.target)}</td>
+                        <td>${formatTime(goal.achieved)}</td>
+                        <td>${goal.metAt !== null
+                            ? `✓ Met at ${formatClock(goal.metAt)}`
+                            : `✕ ${Math.floor(Math.min(goal.achieved / goal.target, 1) * 100)}%`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    elements.goalSummary.classList.remove('hidden');
+}
+
+// ============================================
+// Form Scoring
+// ============================================
+
+/**
+ * Whether any class of the loaded model has a reference pose
+ */
+function hasReferencePoses() {
+    return getModelLabels().some(className => state.classSettings[className]?.reference);
+}
+
+/**
+ * Measure a joint in degrees: the unsigned angle at its middle keypoint, or for the
+ * torso its lean from vertical. Unsigned angles do not change when the view is mirrored.
+ * Returns null when any keypoint is not confidently visible.
+ */
+function measureJoint(joint, byName) {
+    const points = joint.points.map(name => byName[name]);
+    if (points.some(kp => !kp || kp.score < CONFIG.MIN_POSE_CONFIDENCE)) return null;
+
+    if (joint.lean) {
+        const [leftShoulder, rightShoulder, leftHip, rightHip] = points.map(kp => kp.position);
+        const dx = (leftShoulder.x + rightShoulder.x - leftHip.x - rightHip.x) / 2;
+        const dy = (leftShoulder.y + rightShoulder.y - leftHip.y - rightHip.y) / 2;
+        return Math.abs(Math.atan2(dx, -dy)) * 180 / Math.PI;
+    }
+
+    const [a, b, c] = points.map(kp => kp.position);
+    const angle = Math.abs(Math.atan2(a.y - b.y, a.x - b.x) - Math.atan2(c.y - b.y, c.x - b.x)) * 180 / Math.PI;
+    return angle > 180 ? 360 - angle : angle;
+}
+
+/**
+ * Measure every form joint of a set of keypoints: { [jointName]: degrees | null }
+ */
+function measureJoints(keypoints) {
+    const byName = {};
+    keypoints.forEach(kp => {
+        byName[kp.part] = kp;
+    });
+    return Object.fromEntries(FORM_JOINTS.map(joint => [joint.name, measureJoint(joint, byName)]));
+}
+
+/**
+ * Score a live pose against a class reference.
+ * Each joint visible in both scores 1 at the same angle, falling to 0 at FORM_MAX_ANGLE_DIFF;
+ * the form score is their mean on a 0-100 scale. The worst joints beyond FORM_DEVIATION_ANGLE
+ * are returned as skeleton edges to highlight.
+ * @returns {{ score: number, highlights: Set<string> } | null} null when too little is visible
+ */
+function scoreForm(pose, reference) {
+    const live = measureJoints(pose.keypoints);
+    const target = measureJoints(unpackKeypoints(reference.keypoints));
+
+    const deviations = FORM_JOINTS
+        .filter(joint => live[joint.name] !== null && target[joint.name] !== null)
+        .map(joint => ({ joint, diff: Math.abs(live[joint.name] - target[joint.name]) }));
+    if (deviations.length < CONFIG.FORM_MIN_JOINTS) return null;
+
+    const similarity = deviations.reduce(
+        (sum, { diff }) => sum + Math.max(0, 1 - diff / CONFIG.FORM_MAX_ANGLE_DIFF), 0
+    ) / deviations.length;
+
+    const highlights = new Set();
+    deviations
+        .filter(({ diff }) => diff >= CONFIG.FORM_DEVIATION_ANGLE)
+        .sort((a, b) => b.diff - a.diff)
+        .slice(0, CONFIG.FORM_HIGHLIGHT_LIMIT)
+        .forEach(({ joint }) => joint.limbs.forEach(([partA, partB]) => highlights.add(`${partA}-${partB}`)));
+
+    return { score: Math.round(similarity * 100), highlights };
+}
+
+/**
+ * Score the held pose against its reference, show it and add it to the per-pose averages
+ */
+function updateFormScore(pose) {
+    const className = state.segmentTracker?.active?.className;
+    const reference = className ? state.classSettings[className]?.reference : null;
+    const form = reference && pose?.keypoints ? scoreForm(pose, reference) : null;
+
+    state.form = form ? { className, ...form } : null;
+    if (elements.formScoreDisplay) {
+        elements.formScoreDisplay.textContent = form ? form.score : '—';
+    }
+
+    if (form) {
+        const stats = state.formStats[className] || (state.formStats[className] = { sum: 0, frames: 0 });
+        stats.sum += form.score;
+        stats.frames++;
+    }
+}
+
+/**
+ * Average form score per pose for the stored session, or undefined when nothing was scored
+ */
+function summarizeFormScores() {
+    const entries = Object.entries(state.formStats).filter(([, stats]) => stats.frames > 0);
+    if (entries.length === 0) return undefined;
+
+    return Object.fromEntries(entries.map(([className, stats]) => [className, Math.round(stats.sum / stats.frames)]));
+}
+
+/**
+ * Capture the held pose as its class reference after a short delay to get into position
+ */
+function captureReferencePose() {
+    if (!state.isTaskMode || state.isPaused || state.referenceCaptureTimer) return;
+
+    showToast(`Hold your pose - capturing the reference in ${CONFIG.REFERENCE_CAPTURE_DELAY}s`, 'success');
+    state.referenceCaptureTimer = setTimeout(() => {
+        state.referenceCaptureTimer = null;
+        if (!state.isTaskMode || state.isPaused) return;
+
+        const className = state.segmentTracker?.active?.className;
+        if (!className || !state.lastPose) {
+            showToast('No pose held - strike a pose to capture its reference', 'error');
+            return;
+        }
+
+        const keypoints = packKeypoints(state.lastPose);
+        const visibleJoints = Object.values(measureJoints(unpackKeypoints(keypoints))).filter(angle => angle !== null);
+        if (visibleJoints.length < CONFIG.FORM_MIN_JOINTS) {
+            showToast('Too little of the body is visible - step back and try again', 'error');
+            return;
+        }
+
+        state.classSettings[className] = {
+            ...(state.classSettings[className] || {}),
+            reference: { keypoints, capturedAt: new Date().toISOString() }
+        };
+        updateModelSettings({ classSettings: state.classSettings });
+        renderClassSettings();
+        elements.formScoreStat?.classList.remove('hidden');
+
+        if (state.videoSource !== 'file') playChime('enter');
+        showToast(`Reference pose captured for ${escapeHTML(className)}`, 'success');
+    }, CONFIG.REFERENCE_CAPTURE_DELAY * 1000);
+}
+
+/**
+ * Cancel a pending reference capture
+ */
+function cancelReferenceCapture() {
+    clearTimeout(state.referenceCaptureTimer);
+    state.referenceCaptureTimer = null;
+}
+
+// ============================================
+// Chart Management
+// ============================================
+
+/**
+ * Initialize or update real-time bar chart
+ */
+function updateBarChart(labels, data) {
+    if (!elements.barChartCanvas) return;
+
+    const chartCtx = elements.barChartCanvas.getContext('2d');
+
+    if (!barChart) {
+        barChart = new Chart(chartCtx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Confidence (%)',
+                    data: data,
+                    backgroundColor: 'rgba(124, 58, 237, 0.7)',
+                    borderColor: 'rgba(124, 58, 237, 1)',
+                    borderWidth: 2,
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 100 },
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                        ticks: { color: 'rgba(255, 255, 255, 0.7)' }
+                    },
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: 'rgba(255, 255, 255, 0.7)' }
+                    }
+                }
+            }
+        });
+    } else {
+        barChart.data.labels = labels;
+        barChart.data.datasets[0].data = data;
+        barChart.update('none');
+    }
+}
+
+/**
+ * Create summary chart
+ */
+function createSummaryChart(labels, data) {
+    if (!elements.summaryGraphCanvas) return;
+
+    const chartCtx = elements.summaryGraphCanvas.getContext('2d');
+
+    if (summaryChart) {
+        summaryChart.destroy();
+    }
+
+    // Generate gradient colors
+    const colors = labels.map((_, i) => getClassColor(i, labels.length));
+
+    summaryChart = new Chart(chartCtx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Duration (s)',
+                data: data,
+                backgroundColor: colors,
+                borderColor: labels.map((_, i) => getClassColor(i, labels.length, 1)),
+                borderWidth: 2,
+                borderRadius: 6
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.parsed.y.toFixed(2)}s`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: {
+                        color: 'rgba(255, 255, 255, 0.7)',
+                        callback: (value) => value + 's'
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.7)' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create line chart of per-rep cadence (reps/min) over the session
+ */
+function createRepCadenceChart(reps) {
+    if (!elements.repCadenceCanvas || reps.length === 0) return;
+
+    const chartCtx = elements.repCadenceCanvas.getContext('2d');
+
+    repCadenceChart = new Chart(chartCtx, {
+        type: 'line',
+        data: {
+            labels: reps.map(rep => formatClock(rep.end)),
+            datasets: [{
+                label: 'Cadence (reps/min)',
+                data: reps.map(rep => parseFloat((60 / Math.max(rep.end - rep.start, 0.01)).toFixed(1))),
+                borderColor: 'rgba(6, 182, 212, 1)',
+                backgroundColor: 'rgba(6, 182, 212, 0.2)',
+                fill: true,
+                tension: 0.3
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => `Rep ${items[0].dataIndex + 1} · ${items[0].label}`,
+                        label: (context) => `${context.parsed.y}/min`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: {
+                        color: 'rgba(255, 255, 255, 0.7)',
+                        callback: (value) => value + '/min'
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.7)', maxTicksLimit: 10 }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create analytics line chart of per-pose duration per day
+ */
+function createAnalyticsDailyChart(dayKeys, datasets) {
+    if (!elements.analyticsDailyCanvas) return;
+
+    const chartCtx = elements.analyticsDailyCanvas.getContext('2d');
+
+    if (analyticsDailyChart) {
+        analyticsDailyChart.destroy();
+    }
+
+    analyticsDailyChart = new Chart(chartCtx, {
+        type: 'line',
+        data: {
+            labels: dayKeys.map(key => parseDateKey(key).toLocaleDateString([], { month: 'short', day: 'numeric' })),
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { labels: { color: 'rgba(255, 255, 255, 0.7)' } },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}s`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: {
+                        color: 'rgba(255, 255, 255, 0.7)',
+                        callback: (value) => value + 's'
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.7)', maxTicksLimit: 10 }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create analytics bar chart of weekly totals
+ */
+function createAnalyticsWeeklyChart(weekKeys, totals) {
+    if (!elements.analyticsWeeklyCanvas) return;
+
+    const chartCtx = elements.analyticsWeeklyCanvas.getContext('2d');
+
+    if (analyticsWeeklyChart) {
+        analyticsWeeklyChart.destroy();
+    }
+
+    analyticsWeeklyChart = new Chart(chartCtx, {
+        type: 'bar',
+        data: {
+            labels: weekKeys.map(key => 'Wk of ' + parseDateKey(key).toLocaleDateString([], { month: 'short', day: 'numeric' })),
+            datasets: [{
+                label: 'Weekly total (s)',
+                data: totals,
+                backgroundColor: 'rgba(6, 182, 212, 0.7)',
+                borderColor: 'rgba(6, 182, 212, 1)',
+                borderWidth: 2,
+                borderRadius: 6
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.parsed.y.toFixed(2)}s`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: {
+                        color: 'rgba(255, 255, 255, 0.7)',
+                        callback: (value) => value + 's'
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    ticks: { color: 'rgba(255, 255, 255, 0.7)' }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// Audio Cues
+// ============================================
+
+/**
+ * Get cue volume (0-1), or 0 when muted
+ */
+function getAudioVolume() {
+    if (state.isMuted) return 0;
+    if (elements.audioVolumeInput) {
+        const value = parseFloat(elements.audioVolumeInput.value);
+        if (!isNaN(value) && value >= 0 && value <= 100) {
+            return value / 100;
+        }
+    }
+    return CONFIG.AUDIO_VOLUME;
+}
+
+/**
+ * Get seconds between spoken hold-time announcements (0 = off)
+ */
+function getAnnounceInterval() {
+    const value = parseFloat(elements.announceIntervalSelect?.value);
+    return !isNaN(value) && value >= 0 ? value : CONFIG.ANNOUNCE_INTERVAL;
+}
+
+/**
+ * Get the shared audio context. Browsers only allow audio after a user
+ * gesture, so the first call should come from a click (e.g. Start Task).
+ */
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!state.audioContext) {
+        state.audioContext = new AudioContextClass();
+    }
+    if (state.audioContext.state === 'suspended') {
+        state.audioContext.resume();
+    }
+    return state.audioContext;
+}
+
+/**
+ * Play a short tone, optionally delayed (seconds)
+ */
+function playTone(frequency, duration, delay = 0) {
+    const volume = getAudioVolume();
+    if (volume === 0) return;
+
+    const audioCtx = getAudioContext();
+    if (!audioCtx) return;
+
+    const start = audioCtx.currentTime + delay;
+    const oscillator = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    // Quick attack and exponential release avoid clicks
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume * 0.5, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(gain).connect(audioCtx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+}
+
+/**
+ * Countdown tick; the final tick is higher and longer
+ */
+function playCountdownTick(isFinal) {
+    playTone(isFinal ? 1320 : 880, isFinal ? 0.35 : 0.12);
+}
+
+/**
+ * Rising chime when a pose is entered, falling when it is lost, an arpeggio when a goal is met
+ */
+function playChime(type) {
+    const notes = type === 'goal' ? [523, 659, 784, 1047] : type === 'enter' ? [660, 990] : [660, 440];
+    notes.forEach((frequency, i) => playTone(frequency, 0.18, i * 0.12));
+}
+
+/**
+ * Speak a short announcement, replacing any still queued
+ */
+function speak(text) {
+    const volume = getAudioVolume();
+    if (volume === 0 || !window.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') return;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = volume;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Chime on pose changes and announce hold time at the configured interval.
+ * Silent during video analysis, which runs faster than real time.
+ */
+function updateAudioCues() {
+    if (state.videoSource === 'file') return;
+
+    const cues = state.audioCues;
+    const active = state.segmentTracker?.active || null;
+
+    if (active !== cues.lastActive) {
+        if (active) {
+            playChime('enter');
+            speak(active.className);
+        } else {
+            playChime('lose');
+        }
+        cues.lastActive = active;
+        cues.announcedMark = 0;
+        return;
+    }
+
+    const interval = getAnnounceInterval();
+    if (!active || interval <= 0) return;
+
+    const mark = Math.floor((active.lastSeen - active.start) / interval);
+    if (mark > cues.announcedMark) {
+        cues.announcedMark = mark;
+        speak(`${active.className}, ${mark * interval} seconds`);
+    }
+}
+
+/**
+ * Toggle mute for cues and speech
+ */
+function toggleMute() {
+    state.isMuted = !state.isMuted;
+    if (state.isMuted) {
+        window.speechSynthesis?.cancel();
+    }
+    if (elements.audioMuteButton) {
+        elements.audioMuteButton.textContent = state.isMuted ? '🔇' : '🔊';
+        elements.audioMuteButton.setAttribute('aria-pressed', String(state.isMuted));
+    }
+}
+
+// ============================================
+// Session Recording
+// ============================================
+
+/**
+ * Whether this browser can record the canvas
+ */
+function canRecordVideo() {
+    return typeof MediaRecorder !== 'undefined' && !!elements.webcamCanvas?.captureStream;
+}
+
+/**
+ * Pick the best supported WebM codec
+ */
+function getRecordingMimeType() {
+    const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Start recording the canvas (video, skeleton and burned-in stats) if enabled
+ */
+function startRecording() {
+    state.recorder = null;
+    if (!elements.recordVideoCheckbox?.checked || state.videoSource === 'file') return;
+
+    if (!canRecordVideo()) {
+        showToast('Recording is not supported in this browser', 'error');
+        return;
+    }
+
+    try {
+        const mimeType = getRecordingMimeType();
+        const stream = elements.webcamCanvas.captureStream(CONFIG.RECORDING_FPS);
+        const mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const recorder = { mediaRecorder, chunks: [], mimeType: mediaRecorder.mimeType || 'video/webm' };
+
+        mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data && e.data.size > 0) recorder.chunks.push(e.data);
+        });
+        recorder.stopped = new Promise(resolve => {
+            mediaRecorder.addEventListener('stop', () => {
+                resolve(recorder.chunks.length > 0 ? new Blob(recorder.chunks, { type: recorder.mimeType }) : null);
+            });
+        });
+
+        mediaRecorder.start(1000);
+        state.recorder = recorder;
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        recordDiagnosticError('recording', error);
+        showToast('Could not start recording', 'error');
+    }
+}
+
+/**
+ * Pause or resume the recording along with the task
+ */
+function setRecordingPaused(paused) {
+    const mediaRecorder = state.recorder?.mediaRecorder;
+    if (!mediaRecorder) return;
+
+    if (paused && mediaRecorder.state === 'recording') {
+        mediaRecorder.pause();
+    } else if (!paused && mediaRecorder.state === 'paused') {
+        mediaRecorder.resume();
+    }
+}
+
+/**
+ * Stop recording and resolve with the WebM blob (null if nothing was recorded)
+ */
+function stopRecording() {
+    const recorder = state.recorder;
+    state.recorder = null;
+    if (!recorder) return Promise.resolve(null);
+
+    if (recorder.mediaRecorder.state !== 'inactive') {
+        recorder.mediaRecorder.stop();
+    }
+    return recorder.stopped;
+}
+
+/**
+ * Burn the stats overlay into the canvas so it appears in the recording
+ */
+function drawRecordingStats(canvasHeight) {
+    if (!ctx) return;
+
+    const lines = [
+        `Time ${formatTime(getTaskElapsed())}`,
+        `Pose ${elements.currentClassDisplay?.textContent || 'N/A'} · ${elements.currentProbability?.textContent || '0%'}`
+    ];
+    if (state.repCounter) lines.push(`Reps ${state.repCounter.reps.length}`);
+    if (state.form) lines.push(`Form ${state.form.score}/100`);
+    if (state.intervals && !state.intervals.finished) {
+        const status = getIntervalStatus(state.intervals, state.taskClock);
+        lines.push(`${status.label} ${formatClock(Math.ceil(status.remaining))}`);
+    }
+    if (elements.feedbackMessage?.textContent) lines.push(elements.feedbackMessage.textContent);
+
+    const boxWidth = 260;
+    const boxHeight = 12 + lines.length * 18;
+    const x = 12;
+    const y = canvasHeight - boxHeight - 12;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+
+    ctx.font = '13px "JetBrains Mono", monospace';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#f8fafc';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, x + 10, y + 8 + i * 18, boxWidth - 20);
+    });
+
+    // Recording indicator
+    ctx.beginPath();
+    ctx.arc(x + boxWidth - 14, y + 14, 5, 0, 2 * Math.PI);
+    ctx.fillStyle = state.isPaused ? '#94a3b8' : '#ef4444';
+    ctx.fill();
+}
+
+/**
+ * Open the recordings database (one WebM blob per session, keyed by session timestamp)
+ */
+function openRecordingsDB() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(CONFIG.RECORDINGS_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(CONFIG.RECORDINGS_STORE, { keyPath: 'timestamp' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the recordings store
+ */
+async function withRecordingsStore(mode, operation) {
+    const db = await openRecordingsDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.RECORDINGS_STORE, mode);
+            const request = operation(transaction.objectStore(CONFIG.RECORDINGS_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Store a recording for a session
+ */
+function saveRecording(timestamp, blob) {
+    return withRecordingsStore('readwrite', store => store.put({ timestamp, blob }));
+}
+
+/**
+ * Load the recording blob for a session, or null
+ */
+async function loadRecording(timestamp) {
+    const record = await withRecordingsStore('readonly', store => store.get(timestamp));
+    return record?.blob || null;
+}
+
+/**
+ * Delete the recording for a session
+ */
+function deleteRecording(timestamp) {
+    return withRecordingsStore('readwrite', store => store.delete(timestamp))
+        .catch(error => console.error('Error deleting recording:', error));
+}
+
+/**
+ * Delete recordings whose sessions are no longer in history (trimmed, deleted or cleared)
+ */
+async function pruneRecordings() {
+    try {
+        const keep = new Set(loadSessions().map(session => session.timestamp));
+        const keys = await withRecordingsStore('readonly', store => store.getAllKeys());
+        await Promise.all(keys.filter(key => !keep.has(key)).map(deleteRecording));
+    } catch (error) {
+        console.error('Error pruning recordings:', error);
+    }
+}
+
+/**
+ * Store a finished recording and link it to its saved session
+ */
+async function attachRecording(session, blob) {
+    try {
+        await saveRecording(session.timestamp, blob);
+        const recording = { mimeType: blob.type, size: blob.size };
+        updateSession(session.timestamp, { recording });
+        session.recording = recording;
+        if (viewedSession?.timestamp === session.timestamp) {
+            renderRecordingPanel(session);
+        }
+        pruneRecordings();
+    } catch (error) {
+        console.error('Error saving recording:', error);
+        recordDiagnosticError('recording', error);
+        showToast('Could not save the recording', 'error');
+    }
+}
+
+/**
+ * Release the playback URL of the viewed recording
+ */
+function releaseRecordingUrl() {
+    if (recordingUrl) {
+        URL.revokeObjectURL(recordingUrl);
+        recordingUrl = null;
+    }
+    if (elements.recordingPlayer) {
+        elements.recordingPlayer.removeAttribute('src');
+        elements.recordingPlayer.load();
+    }
+}
+
+/**
+ * Show playback and download for a session's recording, if it has one
+ */
+async function renderRecordingPanel(session) {
+    releaseRecordingUrl();
+    elements.recordingPanel?.classList.add('hidden');
+    if (!session?.recording || !elements.recordingPlayer) return;
+
+    try {
+        const blob = await loadRecording(session.timestamp);
+        // The user may have moved on while the blob loaded
+        if (!blob || viewedSession?.timestamp !== session.timestamp) return;
+
+        recordingUrl = URL.createObjectURL(blob);
+        elements.recordingPlayer.src = recordingUrl;
+        elements.recordingPanel?.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading recording:', error);
+    }
+}
+
+/**
+ * Download the viewed session's recording as WebM
+ */
+async function downloadViewedRecording() {
+    if (!viewedSession?.recording) return;
+
+    try {
+        const blob = await loadRecording(viewedSession.timestamp);
+        if (!blob) {
+            showToast('Recording not found', 'error');
+            return;
+        }
+        downloadFile(blob, `${getExportFileStem(viewedSession)}.webm`, blob.type || 'video/webm');
+    } catch (error) {
+        console.error('Error downloading recording:', error);
+        showToast('Could not download the recording', 'error');
+    }
+}
+
+// ============================================
+// Countdown
+// ============================================
+
+/**
+ * Start countdown before task
+ */
+function startCountdown(duration, callback) {
+    if (!elements.countdownElement) {
+        callback();
+        return;
+    }
+
+    let remaining = duration;
+    elements.countdownElement.classList.remove('hidden');
+    elements.countdownElement.textContent = remaining;
+    playCountdownTick(false);
+
+    const interval = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            elements.countdownElement.textContent = remaining;
+            playCountdownTick(false);
+        } else {
+            clearInterval(interval);
+            playCountdownTick(true);
+            elements.countdownElement.classList.add('hidden');
+            callback();
+        }
+    }, 1000);
+}
+
+// ============================================
+// Task Control
+// ============================================
+
+/**
+ * Start the pose tracking task
+ */
+async function startTask() {
+    if (!checkRepSettings()) return;
+
+    // Stop any running test webcam first
+    stopNativeWebcam();
+
+    // Hide model section
+    elements.modelSection?.classList.add('hidden');
+    elements.routineSection?.classList.add('hidden');
+
+    // Start countdown
+    startCountdown(CONFIG.COUNTDOWN_DURATION, async () => {
+        state.videoSource = 'webcam';
+        state.isTaskMode = true;
+        state.isPaused = false;
+        state.totalPausedTime = 0;
+        state.lastTimestamp = null;
+
+        console.log('Task starting, isTaskMode:', state.isTaskMode);
+        console.log('Model loaded:', !!state.model);
+
+        // Setup webcam; on failure go back so the error and settings are visible
+        const success = await setupWebcam();
+        if (!success) {
+            state.isTaskMode = false;
+            elements.modelSection?.classList.remove('hidden');
+            elements.routineSection?.classList.remove('hidden');
+            return;
+        }
+
+        beginTaskTracking();
+
+        showToast('Task started! Strike a pose!', 'success');
+    });
+}
+
+/**
+ * Show task controls and reset per-task tracking, then start the timer
+ */
+function beginTaskTracking() {
+    // Show task UI
+    elements.startTaskButton?.classList.add('hidden');
+    elements.routineSelect?.classList.add('hidden');
+    elements.repControls?.classList.add('hidden');
+    elements.analyzeVideoButton?.classList.add('hidden');
+    elements.videoSpeedSelect?.classList.add('hidden');
+    elements.pauseTaskButton?.classList.remove('hidden');
+    elements.endTaskButton?.classList.remove('hidden');
+    elements.barChartContainer?.classList.remove('hidden');
+
+    // Reset durations and pose segments
+    Object.keys(state.classDurations).forEach(key => {
+        state.classDurations[key] = 0;
+    });
+    state.taskClock = 0;
+    state.poseSegments = [];
+    state.segmentTracker = createSegmentTracker();
+    state.timeline = createTimeline();
+    state.audioCues = { lastActive: null, announcedMark: 0 };
+    state.interruptions = [];
+    state.lastPose = null;
+    state.predictionErrors = 0;
+    state.presence = { lastSeen: performance.now(), autoPaused: false };
+    state.endedBy = null;
+    resetSmoother();
+    resetPerformanceStats();
+
+    // Remember the tracking settings used with this model
+    updateModelSettings(getTrackingSettings());
+
+    // Interval training sets its own target, so it replaces any selected routine
+    const intervalSettings = getIntervalSettings();
+    state.intervals = intervalSettings ? createIntervalRun(intervalSettings) : null;
+
+    const routine = intervalSettings ? null : getSelectedRoutine();
+    state.routine = routine ? createRoutineRun(routine) : null;
+
+    const repSettings = getRepSettings();
+    state.repCounter = repSettings ? createRepCounter(repSettings) : null;
+    elements.repCountStat?.classList.toggle('hidden', !state.repCounter);
+    if (elements.repCountDisplay) elements.repCountDisplay.textContent = '0';
+
+    state.goals = createGoalTracker();
+    setupGoalProgress();
+
+    state.form = null;
+    state.formStats = {};
+    elements.formScoreStat?.classList.toggle('hidden', !hasReferencePoses());
+    if (elements.formScoreDisplay) elements.formScoreDisplay.textContent = '—';
+    elements.captureReferenceButton?.classList.remove('hidden');
+
+    // Start timer, dropping any pause left over from an earlier task
+    state.pauseStartTime = null;
+    state.totalPausedTime = 0;
+    state.taskStartTime = performance.now();
+    state.taskStartedAt = new Date().toISOString();
+
+    if (elements.recordVideoCheckbox) elements.recordVideoCheckbox.disabled = true;
+    startRecording();
+}
+
+/**
+ * Pause/Resume the task
+ */
+function togglePause() {
+    if (state.isPaused) {
+        resumeTask();
+    } else {
+        pauseTask();
+    }
+}
+
+/**
+ * Pause the task; a reason marks an automatic interruption recorded in the session
+ */
+function pauseTask(reason = null) {
+    if (!state.isTaskMode || state.isPaused) return;
+
+    state.isPaused = true;
+    state.pauseStartTime = performance.now();
+    setRecordingPaused(true);
+    elements.pauseTaskButton.textContent = '▶ Resume';
+    elements.pauseTaskButton.classList.remove('btn-secondary');
+    elements.pauseTaskButton.classList.add('btn-warning');
+
+    if (reason) {
+        const message = INTERRUPTION_MESSAGES[reason] || reason;
+        state.interruptions.push({ reason, at: parseFloat(state.taskClock.toFixed(2)), pausedFor: null });
+        if (elements.feedbackMessage) {
+            elements.feedbackMessage.textContent = `⚠ ${message}`;
+            elements.feedbackMessage.className = 'pose-feedback adjust';
+        }
+        showToast(`${message} - task paused`, 'error');
+    } else {
+        showToast('Task paused', 'success');
+    }
+}
+
+/**
+ * Resume the task, closing any open interruption
+ */
+function resumeTask() {
+    if (!state.isTaskMode || !state.isPaused) return;
+
+    // A dead camera would replay its last frame and accrue time on it
+    if (state.videoSource !== 'file' && !isCameraLive()) {
+        elements.reconnectCameraButton?.classList.remove('hidden');
+        showToast('Reconnect the camera before resuming', 'error');
+        return;
+    }
+
+    closeInterruption();
+    if (state.pauseStartTime) {
+        state.totalPausedTime += performance.now() - state.pauseStartTime;
+    }
+    state.isPaused = false;
+    state.pauseStartTime = null;
+    state.predictionErrors = 0;
+    // Absence is measured from the resume, whoever resumed
+    state.presence = { lastSeen: performance.now(), autoPaused: false };
+    setRecordingPaused(false);
+    elements.pauseTaskButton.textContent = '⏸ Pause';
+    elements.pauseTaskButton.classList.remove('btn-warning');
+    elements.pauseTaskButton.classList.add('btn-secondary');
+    showToast('Task resumed', 'success');
+}
+
+/**
+ * Record how long the latest automatic interruption kept the task paused
+ */
+function closeInterruption() {
+    const open = state.interruptions[state.interruptions.length - 1];
+    if (open && open.pausedFor === null && state.pauseStartTime) {
+        open.pausedFor = parseFloat(((performance.now() - state.pauseStartTime) / 1000).toFixed(2));
+    }
+}
+
+/**
+ * End the task and show summary
+ */
+function endTask() {
+    if (!state.isTaskMode) return;
+
+    state.isTaskMode = false;
+    state.isPaused = false;
+
+    // Calculate total time
+    const totalTime = getTaskElapsed();
+    closeInterruption();
+    state.pauseStartTime = null;
+    state.totalPausedTime = 0;
+
+    // Stop recording before the canvas freezes; the blob is stored once the session is saved
+    const recordingDone = stopRecording();
+
+    // Read the camera label before stopping the webcam releases the stream
+    const cameraLabel = state.videoStream?.getVideoTracks()[0]?.label || undefined;
+
+    // Stop webcam
+    stopWebcam();
+
+    // Close any pose still being held
+    finalizePoseSegments();
+
+    // Prepare summary data (ignored classes never count)
+    const classDurations = Object.fromEntries(
+        Object.entries(state.classDurations).filter(([className]) => !isClassIgnored(className))
+    );
+    const posesDetected = Object.values(classDurations).filter(d => d > 0).length;
+    const routineResult = state.routine ? summarizeRoutineRun(state.routine) : null;
+    const repResult = state.repCounter ? summarizeRepCounter(state.repCounter) : null;
+    const goalResult = state.goals ? summarizeGoals(state.goals, classDurations) : null;
+    const intervalResult = state.intervals ? summarizeIntervals(state.intervals, classDurations) : null;
+    cancelReferenceCapture();
+
+    const session = {
+        timestamp: new Date().toISOString(),
+        startedAt: state.taskStartedAt,
+        source: state.videoSource === 'file' ? 'video' : 'webcam',
+        model: state.modelInfo ? { id: state.modelInfo.id, name: state.modelInfo.name, url: state.modelInfo.url } : undefined,
+        settings: {
+            threshold: getConfidenceThreshold(),
+            exitThreshold: getExitThreshold(),
+            minHoldTime: getMinHoldTime(),
+            graceGap: getGraceGap(),
+            smoothing: { method: getSmoothingMethod(), window: getSmoothingWindow() },
+            requiredParts: [...state.requiredParts],
+            autoPauseAfter: getAutoPauseDelay(),
+            autoEndAfter: getAutoEndDelay(),
+            camera: state.videoSource === 'file' ? undefined : {
+                label: cameraLabel,
+                width: state.frameSize.width,
+                height: state.frameSize.height,
+                mirrored: isMirrorEnabled()
+            },
+            classThresholds: Object.fromEntries(
+                Object.entries(state.classSettings)
+                    .filter(([, settings]) => typeof settings.threshold === 'number')
+                    .map(([className, settings]) => [className, settings.threshold])
+            ),
+            ignoredClasses: getModelLabels().filter(isClassIgnored)
+        },
+        videoName: state.videoSource === 'file' ? state.videoFileName : undefined,
+        totalDuration: totalTime,
+        classDurations: classDurations,
+        segments: state.poseSegments.map(seg => ({
+            className: seg.className,
+            start: parseFloat(seg.start.toFixed(3)),
+            end: parseFloat(seg.end.toFixed(3)),
+            meanConfidence: parseFloat(seg.meanConfidence.toFixed(3))
+        })),
+        timeline: compactTimeline(state.timeline),
+        routine: routineResult || undefined,
+        reps: repResult || undefined,
+        goals: goalResult || undefined,
+        intervals: intervalResult || undefined,
+        formScores: summarizeFormScores(),
+        interruptions: state.interruptions.length > 0 ? [...state.interruptions] : undefined,
+        endedBy: state.endedBy || undefined,
+        performance: summarizePerformance(totalTime),
+        posesDetected: posesDetected
+    };
+
+    // Save session to history
+    // A recording is only stored (and older ones pruned) once its session is in history
+    const saved = saveSession(session);
+    recordingDone.then(blob => {
+        if (blob && saved) attachRecording(session, blob);
+    });
+
+    // Show summary section
+    elements.taskSection?.classList.add('hidden');
+    showSessionSummary(session);
+
+    if (session.endedBy === 'absence') {
+        showToast('No one in view - session ended', 'success');
+    } else if (session.endedBy === 'goals') {
+        showToast('All goals met - session complete!', 'success');
+    } else if (routineResult) {
+        showToast(`Routine ${(routineResult.completion * 100).toFixed(0)}% complete!`, 'success');
+    } else if (repResult) {
+        showToast(`${repResult.count} reps completed!`, 'success');
+    } else if (intervalResult) {
+        showToast(`${intervalResult.completedRounds}/${intervalResult.rounds} rounds completed!`, 'success');
+    } else {
+        showToast('Task completed! Great work!', 'success');
+    }
+}
+
+/**
+ * Restart the application
+ */
+function restart() {
+    // Reset state
+    state.isTaskMode = false;
+    state.isPaused = false;
+    state.taskStartTime = null;
+    state.lastTimestamp = null;
+    state.totalPausedTime = 0;
+    state.pauseStartTime = null;
+    state.currentClass = null;
+    state.taskClock = 0;
+    state.poseSegments = [];
+    state.segmentTracker = null;
+    state.timeline = null;
+    state.routine = null;
+    state.repCounter = null;
+    state.goals = null;
+    state.intervals = null;
+    state.form = null;
+    state.formStats = {};
+    state.interruptions = [];
+    state.lastPose = null;
+
+    // Stop webcam (both tmPose and native)
+    stopWebcam();
+    stopNativeWebcam();
+
+    // Destroy charts
+    if (barChart) {
+        barChart.destroy();
+        barChart = null;
+    }
+    if (summaryChart) {
+        summaryChart.destroy();
+        summaryChart = null;
+    }
+    summaryTimeline = null;
+    viewedSession = null;
+    hideTimelineTooltip();
+    renderRoutineSummary(null);
+    renderInterruptionSummary(null);
+    renderRepSummary(null);
+    renderGoalSummary(null);
+    renderIntervalSummary(null);
+    releaseRecordingUrl();
+    elements.recordingPanel?.classList.add('hidden');
+    stopSkeletonReplay();
+    skeletonReplay = null;
+    if (elements.recordVideoCheckbox) elements.recordVideoCheckbox.disabled = !canRecordVideo();
+    updateHistoryDisplay();
+
+    // Reset durations
+    Object.keys(state.classDurations).forEach(key => {
+        state.classDurations[key] = 0;
+    });
+
+    // Reset UI
+    elements.summarySection?.classList.add('hidden');
+    elements.taskSection?.classList.add('hidden');
+    elements.routineSection?.classList.add('hidden');
+    elements.modelSection?.classList.remove('hidden');
+    elements.startTaskButton?.classList.remove('hidden');
+    elements.routineSelect?.classList.remove('hidden');
+    elements.repControls?.classList.remove('hidden');
+    elements.repCountStat?.classList.add('hidden');
+    elements.formScoreStat?.classList.add('hidden');
+    elements.captureReferenceButton?.classList.add('hidden');
+    elements.analyzeVideoButton?.classList.remove('hidden');
+    elements.videoSpeedSelect?.classList.remove('hidden');
+    elements.videoProgress?.classList.add('hidden');
+    elements.pauseTaskButton?.classList.add('hidden');
+    elements.reconnectCameraButton?.classList.add('hidden');
+    elements.endTaskButton?.classList.add('hidden');
+    elements.barChartContainer?.classList.add('hidden');
+    elements.goalProgress?.classList.add('hidden');
+
+    if (elements.taskTimer) elements.taskTimer.textContent = '0.00s';
+    if (elements.taskTimerLabel) elements.taskTimerLabel.textContent = 'Time';
+    if (elements.feedbackMessage) elements.feedbackMessage.textContent = '';
+    if (elements.pauseTaskButton) {
+        elements.pauseTaskButton.textContent = '⏸ Pause';
+        elements.pauseTaskButton.classList.remove('btn-warning');
+        elements.pauseTaskButton.classList.add('btn-secondary');
+    }
+
+    hideFeedback();
+
+    // Disable start task button (but keep test webcam enabled); the model stays in the library
+    if (elements.startTaskButton) elements.startTaskButton.disabled = true;
+    if (elements.analyzeVideoButton) elements.analyzeVideoButton.disabled = true;
+    // Keep test webcam button enabled
+    state.model = null;
+    state.modelInfo = null;
+    state.classSettings = {};
+    state.requiredParts = [...CONFIG.REQUIRED_BODY_PARTS];
+    elements.classSettingsPanel?.classList.add('hidden');
+    state.videoSource = 'webcam';
+    state.videoFileName = null;
+}
+
+// ============================================
+// Session Summary & Detail
+// ============================================
+
+/**
+ * Render a session (just finished or from history) into the summary section
+ */
+function showSessionSummary(session) {
+    viewedSession = session;
+
+    const labels = Object.keys(session.classDurations || {});
+    const durations = Object.values(session.classDurations || {}).map(d => parseFloat(d.toFixed(2)));
+    const segments = session.segments || [];
+    const totalTime = session.totalDuration || 0;
+
+    // Update summary displays
+    if (elements.totalDurationDisplay) {
+        elements.totalDurationDisplay.textContent = formatTime(totalTime);
+    }
+    if (elements.posesDetectedDisplay) {
+        elements.posesDetectedDisplay.textContent = session.posesDetected ?? durations.filter(d => d > 0).length;
+    }
+    if (elements.summaryMeta) {
+        const date = new Date(session.timestamp);
+        const parts = [date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })];
+        if (session.model) parts.push(escapeHTML(session.model.name));
+        if (session.source === 'video') parts.push(`🎞 ${escapeHTML(session.videoName || 'Video file')}`);
+        if (session.performance) {
+            const perf = session.performance;
+            parts.push(escapeHTML(`⚡ ${perf.renderFps !== undefined ? `${perf.renderFps} fps · ` : ''}${perf.inferenceFps} inferences/s · ${perf.latencyMs} ms`));
+        }
+        if (session.interruptions?.length) {
+            const details = session.interruptions.map(item =>
+                `${INTERRUPTION_MESSAGES[item.reason] || item.reason} at ${formatClock(item.at)}` +
+                (item.pausedFor !== null ? ` (paused ${formatTime(item.pausedFor)})` : '')
+            ).join('\n');
+            const count = session.interruptions.length;
+            parts.push(`<span title="${escapeHTML(details)}">⚠ ${count} interruption${count === 1 ? '' : 's'}</span>`);
+        }
+        elements.summaryMeta.innerHTML = parts.join(' · ');
+    }
+    if (elements.sessionTitleInput) elements.sessionTitleInput.value = session.title || '';
+    if (elements.sessionNotesInput) elements.sessionNotesInput.value = session.notes || '';
+
+    // Create summary table
+    if (elements.summaryContent) {
+        const formScores = session.formScores;
+        let tableHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Pose</th>
+                        <th>Duration</th>
+                        <th>Holds</th>
+                        <th>Percentage</th>
+                        ${formScores ? '<th>Avg Form</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        labels.forEach((label, i) => {
+            const duration = durations[i];
+            const percentage = totalTime > 0 ? ((duration / totalTime) * 100).toFixed(1) : 0;
+            const holds = segments.filter(seg => seg.className === label).length;
+            tableHTML += `
+                <tr>
+                    <td>${escapeHTML(label)}</td>
+                    <td>${formatTime(duration)}</td>
+                    <td>${holds}</td>
+                    <td>${percentage}%</td>
+                    ${formScores ? `<td>${escapeHTML(formScores[label] ?? '—')}</td>` : ''}
+                </tr>
+            `;
+        });
+
+        tableHTML += '</tbody></table>';
+        elements.summaryContent.innerHTML = tableHTML;
+    }
+
+    // Create summary chart
+    createSummaryChart(labels, durations);
+
+    // Routine results
+    renderRoutineSummary(session.routine || null);
+    renderGoalSummary(session.goals || null);
+    renderIntervalSummary(session.intervals || null);
+    renderInterruptionSummary(session);
+
+    elements.summarySection?.classList.remove('hidden');
+
+    // Rep results (the cadence chart needs a visible container)
+    renderRepSummary(session.reps || null);
+    renderRecordingPanel(session);
+
+    // Render timeline once the section is visible so it can size to its container
+    renderSessionTimeline(session.timeline, segments);
+    setupSkeletonReplay(session.timeline);
+}
+
+/**
+ * List automatic pauses (absence, camera problems) in the summary
+ */
+function renderInterruptionSummary(session) {
+    if (!elements.interruptionSummary) return;
+
+    const interruptions = session?.interruptions || [];
+    if (interruptions.length === 0 && session?.endedBy !== 'absence') {
+        elements.interruptionSummary.innerHTML = '';
+        elements.interruptionSummary.classList.add('hidden');
+        return;
+    }
+
+    const rows = interruptions.map(item => `
+        <tr>
+            <td>${escapeHTML(INTERRUPTION_MESSAGES[item.reason] || item.reason)}</td>
+            <td>${formatClock(item.at)}</td>
+            <td>${item.pausedFor !== null ? formatTime(item.pausedFor) : '—'}</td>
+        </tr>
+    `).join('');
+
+    elements.interruptionSummary.innerHTML = `
+        <div class="chart-title">Auto-Pauses</div>
+        ${session.endedBy === 'absence' ? '<p class="small-text">The session ended automatically because no one was in view.</p>' : ''}
+        ${interruptions.length > 0 ? `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Reason</th>
+                        <th>At</th>
+                        <th>Paused For</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : ''}
+    `;
+    elements.interruptionSummary.classList.remove('hidden');
+}
+
+/**
+ * Open a stored session in the summary section
+ */
+function openHistorySession(timestamp) {
+    if (state.isTaskMode) {
+        showToast('Finish the current task first', 'error');
+        return;
+    }
+
+    const session = loadSessions().find(s => s.timestamp === timestamp);
+    if (!session) return;
+
+    showSessionSummary(session);
+    updateHistoryDisplay();
+    elements.summarySection?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Save title/notes edits for the viewed session
+ */
+function saveViewedSessionDetails() {
+    if (!viewedSession) return;
+
+    const changes = {
+        title: elements.sessionTitleInput?.value.trim() || undefined,
+        notes: elements.sessionNotesInput?.value.trim() || undefined
+    };
+    Object.assign(viewedSession, changes);
+    updateSession(viewedSession.timestamp, changes);
+}
+
+/**
+ * Delete the viewed session from history
+ */
+function deleteViewedSession() {
+    if (!viewedSession) return;
+    if (!confirm('Delete this session from history?')) return;
+
+    deleteSession(viewedSession.timestamp);
+    showToast('Session deleted', 'success');
+    closeSummary();
+}
+
+/**
+ * Close the summary; after a task this returns to model selection
+ */
+function closeSummary() {
+    viewedSession = null;
+    releaseRecordingUrl();
+    stopSkeletonReplay();
+    elements.summarySection?.classList.add('hidden');
+    summaryTimeline = null;
+    hideTimelineTooltip();
+    updateHistoryDisplay();
+
+    if (elements.modelSection?.classList.contains('hidden') && elements.taskSection?.classList.contains('hidden')) {
+        restart();
+    }
+}
+
+// ============================================
+// Data Persistence
+// ============================================
+
+/**
+ * Session record migrations, keyed by the version they upgrade from.
+ * Version 1 is the original { timestamp, totalDuration, classDurations, posesDetected } shape.
+ */
+const SESSION_MIGRATIONS = {
+    1: (session) => ({
+        ...session,
+        source: session.source || 'webcam',
+        segments: session.segments || []
+    }),
+    2: (session) => ({
+        ...session,
+        startedAt: session.startedAt ||
+            new Date(Date.parse(session.timestamp) - session.totalDuration * 1000).toISOString(),
+        settings: session.settings || null
+    })
+};
+
+/**
+ * Upgrade a stored session record to the current schema version
+ */
+function migrateSession(session) {
+    let migrated = session;
+    let version = session.schemaVersion || 1;
+
+    while (version < CONFIG.SESSION_SCHEMA_VERSION) {
+        const migrate = SESSION_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from session schema v${version}`);
+        }
+        migrated = migrate(migrated);
+        version++;
+    }
+
+    return { ...migrated, schemaVersion: version };
+}
+
+/**
+ * Save session to localStorage
+ * @returns {boolean} Whether the session was stored
+ */
+function saveSession(sessionData) {
+    try {
+        sessionData.schemaVersion = CONFIG.SESSION_SCHEMA_VERSION;
+
+        let sessions = loadSessions();
+        // Keep only recent sessions, but never shrink a history restored from a backup
+        const limit = Math.max(CONFIG.MAX_HISTORY_ITEMS, sessions.length);
+        sessions.unshift(sessionData);
+
+        if (sessions.length > limit) {
+            sessions = sessions.slice(0, limit);
+        }
+
+        // Timelines are the bulk of stored data; when storage is full, drop older
+        // timelines first, then this session's keypoints, then its whole timeline
+        const fallbacks = [
+            () => sessions.slice(1).forEach(session => delete session.timeline),
+            () => { if (sessionData.timeline) sessionData.timeline = { ...sessionData.timeline, keypoints: [] }; },
+            () => delete sessionData.timeline
+        ];
+        for (let attempt = 0; ; attempt++) {
+            try {
+                localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(sessions));
+                break;
+            } catch (quotaError) {
+                if (attempt >= fallbacks.length) throw quotaError;
+                console.warn('Storage full, trimming stored timelines:', quotaError);
+                fallbacks[attempt]();
+            }
+        }
+        updateHistoryDisplay();
+        renderAnalytics();
+        return true;
+    } catch (error) {
+        console.error('Error saving session:', error);
+        recordDiagnosticError('storage', error);
+        showToast('Could not save session - browser storage may be full', 'error');
+        return false;
+    }
+}
+
+/**
+ * Load sessions from localStorage, migrating older records in place
+ */
+function loadSessions() {
+    try {
+        const sessions = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
+        const outdated = sessions.some(session => (session.schemaVersion || 1) < CONFIG.SESSION_SCHEMA_VERSION);
+        if (!outdated) return sessions;
+
+        const migrated = sessions.map(migrateSession);
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(migrated));
+        return migrated;
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        return [];
+    }
+}
+
+/**
+ * Update a stored session in place
+ */
+function updateSession(timestamp, changes) {
+    try {
+        const sessions = loadSessions();
+        const session = sessions.find(s => s.timestamp === timestamp);
+        if (!session) return;
+
+        Object.assign(session, changes);
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(sessions));
+        updateHistoryDisplay();
+    } catch (error) {
+        console.error('Error updating session:', error);
+    }
+}
+
+/**
+ * Delete a single stored session
+ */
+function deleteSession(timestamp) {
+    try {
+        const sessions = loadSessions().filter(s => s.timestamp !== timestamp);
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(sessions));
+        deleteRecording(timestamp);
+        updateHistoryDisplay();
+        renderAnalytics();
+    } catch (error) {
+        console.error('Error deleting session:', error);
+    }
+}
+
+/**
+ * Update history display
+ */
+function updateHistoryDisplay() {
+    if (!elements.historyList) return;
+
+    const sessions = loadSessions();
+    const pageCount = Math.max(1, Math.ceil(sessions.length / CONFIG.HISTORY_PAGE_SIZE));
+    historyPage = Math.min(historyPage, pageCount - 1);
+
+    if (elements.historyPageInfo) {
+        elements.historyPageInfo.textContent = `Page ${historyPage + 1} of ${pageCount}`;
+    }
+    if (elements.historyPrevButton) elements.historyPrevButton.disabled = historyPage === 0;
+    if (elements.historyNextButton) elements.historyNextButton.disabled = historyPage >= pageCount - 1;
+
+    if (sessions.length === 0) {
+        elements.historyList.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 2rem;">No sessions yet</p>';
+        return;
+    }
+
+    let html = '';
+    const pageStart = historyPage * CONFIG.HISTORY_PAGE_SIZE;
+    sessions.slice(pageStart, pageStart + CONFIG.HISTORY_PAGE_SIZE).forEach(session => {
+        const date = new Date(session.timestamp);
+        const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const isViewed = viewedSession?.timestamp === session.timestamp;
+        html += `
+            <div class="history-item clickable${isViewed ? ' active' : ''}" data-timestamp="${escapeHTML(session.timestamp)}" role="button" tabindex="0">
+                <span class="history-info">
+                    ${session.title ? `<span class="history-title">${escapeHTML(session.title)}</span>` : ''}
+                    <span class="history-date">${escapeHTML(dateStr)}</span>
+                    ${session.model ? `<span class="history-model">${escapeHTML(session.model.name)}</span>` : ''}
+                    ${session.reps ? `<span class="history-model">${escapeHTML(session.reps.count)} reps</span>` : ''}
+                    ${session.intervals ? `<span class="history-model">⏱ ${escapeHTML(session.intervals.completedRounds)}/${escapeHTML(session.intervals.rounds)} rounds</span>` : ''}
+                    ${session.goals ? `<span class="history-model${session.goals.met === session.goals.total ? ' goals-met' : ''}">🎯 ${escapeHTML(session.goals.met)}/${escapeHTML(session.goals.total)} goals</span>` : ''}
+                </span>
+                <span class="history-duration">${formatTime(session.totalDuration)}</span>
+            </div>
+        `;
+    });
+
+    elements.historyList.innerHTML = html;
+}
+
+/**
+ * Change history page
+ */
+function changeHistoryPage(delta) {
+    historyPage = Math.max(0, historyPage + delta);
+    updateHistoryDisplay();
+}
+
+/**
+ * Open a history entry (event delegation, mouse or keyboard)
+ */
+function handleHistoryListActivate(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+
+    const item = e.target.closest('[data-timestamp]');
+    if (!item) return;
+
+    e.preventDefault();
+    openHistorySession(item.dataset.timestamp);
+}
+
+/**
+ * Clear all history
+ */
+function clearHistory() {
+    if (confirm('Are you sure you want to clear all session history?')) {
+        localStorage.removeItem(CONFIG.STORAGE_KEY);
+        pruneRecordings();
+        historyPage = 0;
+        updateHistoryDisplay();
+        renderAnalytics();
+        showToast('History cleared', 'success');
+    }
+}
+
+// ============================================
+// Backup & Restore
+// ============================================
+
+/**
+ * Export all sessions and settings as a versioned JSON backup
+ */
+function exportBackup() {
+    const backup = {
+        format: CONFIG.BACKUP_FORMAT,
+        version: CONFIG.BACKUP_VERSION,
+        sessionSchemaVersion: CONFIG.SESSION_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions: loadSessions(),
+        settings: {
+            models: loadModelLibrary(),
+            routines: loadRoutines()
+        }
+    };
+
+    downloadFile(
+        JSON.stringify(backup, null, 2),
+        `pose-tracker-backup-${new Date().toISOString().slice(0, 10)}.json`,
+        'application/json'
+    );
+    showToast(`Backed up ${backup.sessions.length} sessions`, 'success');
+}
+
+/**
+ * Validate a parsed backup file and return its migrated sessions and settings
+ */
+function validateBackup(backup) {
+    if (!backup || backup.format !== CONFIG.BACKUP_FORMAT) {
+        throw new Error('Not a Pose Tracker backup file');
+    }
+    if (typeof backup.version !== 'number' || backup.version > CONFIG.BACKUP_VERSION) {
+        throw new Error('Backup was made by a newer version of the app');
+    }
+    if (!Array.isArray(backup.sessions)) {
+        throw new Error('Backup has no session list');
+    }
+
+    const sessions = backup.sessions.map((session, i) => {
+        const valid = session &&
+            isISOTimestamp(session.timestamp) &&
+            Number.isFinite(session.totalDuration) &&
+            session.classDurations && typeof session.classDurations === 'object' &&
+            Object.values(session.classDurations).every(Number.isFinite);
+        if (!valid) {
+            throw new Error(`Session ${i + 1} is malformed`);
+        }
+        if ((session.schemaVersion || 1) > CONFIG.SESSION_SCHEMA_VERSION) {
+            throw new Error(`Session ${i + 1} uses a newer format`);
+        }
+        return migrateSession(session);
+    });
+
+    const settings = backup.settings || {};
+    return {
+        sessions,
+        models: Array.isArray(settings.models) ? settings.models.filter(m => m && typeof m.id === 'string') : [],
+        routines: Array.isArray(settings.routines) ? settings.routines.filter(isValidRoutine) : []
+    };
+}
+
+/**
+ * Whether a value is a timestamp in the canonical form the app stores
+ */
+function isISOTimestamp(value) {
+    if (typeof value !== 'string') return false;
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date.toISOString() === value;
+}
+
+/**
+ * Whether a backed-up routine has the shape saveRoutineDraft produces
+ */
+function isValidRoutine(routine) {
+    return !!routine &&
+        typeof routine.id === 'string' && /^[a-z0-9]+$/.test(routine.id) &&
+        typeof routine.name === 'string' &&
+        Array.isArray(routine.steps) &&
+        routine.steps.every(step => step &&
+            typeof step.className === 'string' &&
+            Number.isFinite(step.holdSeconds) &&
+            Number.isFinite(step.restSeconds));
+}
+
+/**
+ * Merge items into an existing list by key, keeping existing entries
+ */
+function mergeByKey(existing, incoming, key) {
+    const known = new Set(existing.map(item => item[key]));
+    const added = incoming.filter(item => !known.has(item[key]));
+    return { merged: [...existing, ...added], added: added.length };
+}
+
+/**
+ * Merge backed-up models into the library. Models known to both keep the settings of
+ * whichever copy was used more recently, filling in any settings the other lacks.
+ */
+function mergeModelLibraries(existing, incoming) {
+    const merged = existing.map(model => {
+        const backup = incoming.find(item => item.id === model.id);
+        if (!backup) return model;
+        return (backup.lastUsed || '') > (model.lastUsed || '') ? { ...model, ...backup } : { ...backup, ...model };
+    });
+    const known = new Set(existing.map(model => model.id));
+    return [...merged, ...incoming.filter(model => !known.has(model.id))];
+}
+
+/**
+ * Import a backup file, de-duplicating sessions by timestamp
+ */
+async function importBackup(file) {
+    if (!file) return;
+
+    try {
+        const { sessions, models, routines } = validateBackup(JSON.parse(await file.text()));
+
+        // Restored history is never capped; saveSession keeps it from shrinking later
+        const sessionMerge = mergeByKey(loadSessions(), sessions, 'timestamp');
+        const merged = sessionMerge.merged.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(merged));
+
+        saveModelLibrary(mergeModelLibraries(loadModelLibrary(), models));
+        saveRoutines(mergeByKey(loadRoutines(), routines, 'id').merged);
+
+        updateHistoryDisplay();
+        renderAnalytics();
+        renderModelLibrary();
+        updateRoutineLists();
+
+        const duplicates = sessions.length - sessionMerge.added;
+        let message = `Restored ${sessionMerge.added} sessions`;
+        if (duplicates > 0) message += `, skipped ${duplicates} duplicates`;
+        showToast(message, 'success');
+    } catch (error) {
+        console.error('Error importing backup:', error);
+        showToast(`Restore failed: ${escapeHTML(error.message)}`, 'error');
+    }
+}
+
+// ============================================
+// Progress Analytics
+// ============================================
+
+/**
+ * Local calendar date key (YYYY-MM-DD)
+ */
+function toDateKey(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a date key at local noon (safe across DST changes)
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+}
+
+/**
+ * Date key of the Monday starting the week of the given date key
+ */
+function getWeekKey(dateKey) {
+    const date = parseDateKey(dateKey);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return toDateKey(date);
+}
+
+/**
+ * List every date key from start to end inclusive
+ */
+function enumerateDateKeys(startKey, endKey) {
+    const keys = [];
+    const date = parseDateKey(startKey);
+    const end = parseDateKey(endKey);
+    while (date <= end) {
+        keys.push(toDateKey(date));
+        date.setDate(date.getDate() + 1);
+    }
+    return keys;
+}
+
+/**
+ * Seconds a session spent in one class, or in all classes
+ */
+function getSessionClassDuration(session, className) {
+    const durations = session.classDurations || {};
+    if (className) return durations[className] || 0;
+    return Object.values(durations).reduce((sum, d) => sum + d, 0);
+}
+
+/**
+ * Current and longest runs of consecutive training days
  */
-function endTask() {
-    state.isTaskMode = false;
-    state.isPaused = false;
+function computeStreaks(dayKeys) {
+    const sorted = [...new Set(dayKeys)].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    sorted.forEach(key => {
+        const gap = previous ? Math.round((parseDateKey(key) - parseDateKey(previous)) / 86400000) : null;
+        run = gap === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = key;
+    });
 
-    // Calculate total time
-    const totalTime = (performance.now() - state.taskStartTime - state.totalPausedTime) / 1000;
+    // A streak is still current if the last training day was today or yesterday
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const current = previous && previous >= toDateKey(yesterday) ? run : 0;
 
-    // Stop webcam
-    stopWebcam();
+    return { current, longest };
+}
 
-    // Prepare summary data
-    const labels = Object.keys(state.classDurations);
-    const durations = Object.values(state.classDurations).map(d => parseFloat(d.toFixed(2)));
-    const posesDetected = durations.filter(d => d > 0).length;
+/**
+ * Fill the pose filter with every class found in history
+ */
+function populateAnalyticsClassSelect(classes) {
+    const select = elements.analyticsClassSelect;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">All poses</option>' +
+        classes.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+    select.value = classes.includes(selected) ? selected : '';
+}
 
-    // Update summary displays
-    if (elements.totalDurationDisplay) {
-        elements.totalDurationDisplay.textContent = formatTime(totalTime);
+/**
+ * Render the progress analytics dashboard from stored sessions
+ */
+function renderAnalytics() {
+    if (!elements.analyticsSection) return;
+
+    const allSessions = loadSessions();
+    const allClasses = [...new Set(allSessions.flatMap(session => Object.keys(session.classDurations || {})))];
+    populateAnalyticsClassSelect(allClasses);
+
+    // Default to the recent past
+    if (elements.analyticsToInput && !elements.analyticsToInput.value) {
+        elements.analyticsToInput.value = toDateKey(new Date());
     }
-    if (elements.posesDetectedDisplay) {
-        elements.posesDetectedDisplay.textContent = posesDetected;
+    if (elements.analyticsFromInput && !elements.analyticsFromInput.value) {
+        const from = new Date();
+        from.setDate(from.getDate() - (CONFIG.ANALYTICS_DEFAULT_DAYS - 1));
+        elements.analyticsFromInput.value = toDateKey(from);
     }
 
-    // Create summary table
-    if (elements.summaryContent) {
-        let tableHTML = `
-            <table class="data-table">
-                <thead>
-                    <tr>
-                        <th>Pose</th>
-                        <th>Duration</th>
-                        <th>Percentage</th>
-                    </tr>
-                </thead>
-                <tbody>
-        `;
-
-        labels.forEach((label, i) => {
-            const duration = durations[i];
-            const percentage = totalTime > 0 ? ((duration / totalTime) * 100).toFixed(1) : 0;
-            tableHTML += `
-                <tr>
-                    <td>${label}</td>
-                    <td>${formatTime(duration)}</td>
-                    <td>${percentage}%</td>
-                </tr>
-            `;
-        });
+    const fromKey = elements.analyticsFromInput?.value || toDateKey(new Date());
+    const toKey = elements.analyticsToInput?.value || toDateKey(new Date());
+    const className = elements.analyticsClassSelect?.value || '';
+    const classes = className ? [className] : allClasses;
 
-        tableHTML += '</tbody></table>';
-        elements.summaryContent.innerHTML = tableHTML;
-    }
+    const sessions = allSessions.filter(session => {
+        const key = toDateKey(new Date(session.timestamp));
+        return key >= fromKey && key <= toKey;
+    });
 
-    // Create summary chart
-    createSummaryChart(labels, durations);
+    // Per-day and per-week totals
+    const dayKeys = fromKey <= toKey ? enumerateDateKeys(fromKey, toKey) : [];
+    const daily = {};
+    const trainingDays = [];
+    sessions.forEach(session => {
+        const key = toDateKey(new Date(session.timestamp));
+        daily[key] = daily[key] || {};
+        classes.forEach(c => {
+            daily[key][c] = (daily[key][c] || 0) + getSessionClassDuration(session, c);
+        });
+        if (getSessionClassDuration(session, className) > 0) {
+            trainingDays.push(key);
+        }
+    });
 
-    // Save session to history
-    saveSession({
-        timestamp: new Date().toISOString(),
-        totalDuration: totalTime,
-        classDurations: { ...state.classDurations },
-        posesDetected: posesDetected
+    const weekKeys = [...new Set(dayKeys.map(getWeekKey))];
+    const weeklyTotals = weekKeys.map(() => 0);
+    Object.entries(daily).forEach(([key, totals]) => {
+        const index = weekKeys.indexOf(getWeekKey(key));
+        if (index >= 0) {
+            weeklyTotals[index] += Object.values(totals).reduce((sum, d) => sum + d, 0);
+        }
     });
 
-    // Show summary section
-    elements.taskSection?.classList.add('hidden');
-    elements.summarySection?.classList.remove('hidden');
+    // Stats
+    const streaks = computeStreaks(trainingDays);
+    const totalTime = weeklyTotals.reduce((sum, d) => sum + d, 0);
+    if (elements.analyticsCurrentStreak) elements.analyticsCurrentStreak.textContent = `${streaks.current}d`;
+    if (elements.analyticsLongestStreak) elements.analyticsLongestStreak.textContent = `${streaks.longest}d`;
+    if (elements.analyticsTrainingDays) elements.analyticsTrainingDays.textContent = new Set(trainingDays).size;
+    if (elements.analyticsTotalTime) elements.analyticsTotalTime.textContent = formatTime(totalTime);
+
+    // Charts
+    const datasets = classes.map(c => {
+        const colorIndex = allClasses.indexOf(c);
+        return {
+            label: c,
+            data: dayKeys.map(key => parseFloat((daily[key]?.[c] || 0).toFixed(2))),
+            borderColor: getClassColor(colorIndex, allClasses.length, 1),
+            backgroundColor: getClassColor(colorIndex, allClasses.length, 0.2),
+            borderWidth: 2,
+            pointRadius: 2,
+            tension: 0.3
+        };
+    });
+    createAnalyticsDailyChart(dayKeys, datasets);
+    createAnalyticsWeeklyChart(weekKeys, weeklyTotals.map(d => parseFloat(d.toFixed(2))));
 
-    showToast('Task completed! Great work!', 'success');
+    renderPersonalBests(sessions, classes);
 }
 
 /**
- * Restart the application
+ * Render personal bests per pose (longest single hold and best session total)
  */
-function restart() {
-    // Reset state
-    state.isTaskMode = false;
-    state.isPaused = false;
-    state.taskStartTime = null;
-    state.lastTimestamp = null;
-    state.totalPausedTime = 0;
-    state.currentClass = null;
-
-    // Stop webcam (both tmPose and native)
-    stopWebcam();
-    stopNativeWebcam();
-
-    // Destroy charts
-    if (barChart) {
-        barChart.destroy();
-        barChart = null;
-    }
-    if (summaryChart) {
-        summaryChart.destroy();
-        summaryChart = null;
-    }
+function renderPersonalBests(sessions, classes) {
+    if (!elements.analyticsBests) return;
+
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+    const rows = classes.map(className => {
+        let bestHold = null;
+        let bestSession = null;
+
+        sessions.forEach(session => {
+            (session.segments || [])
+                .filter(seg => seg.className === className)
+                .forEach(seg => {
+                    const hold = seg.end - seg.start;
+                    if (!bestHold || hold > bestHold.value) {
+                        bestHold = { value: hold, timestamp: session.timestamp };
+                    }
+                });
 
-    // Reset durations
-    Object.keys(state.classDurations).forEach(key => {
-        state.classDurations[key] = 0;
-    });
+            const total = getSessionClassDuration(session, className);
+            if (total > 0 && (!bestSession || total > bestSession.value)) {
+                bestSession = { value: total, timestamp: session.timestamp };
+            }
+        });
 
-    // Reset UI
-    elements.summarySection?.classList.add('hidden');
-    elements.taskSection?.classList.add('hidden');
-    elements.modelSection?.classList.remove('hidden');
-    elements.startTaskButton?.classList.remove('hidden');
-    elements.pauseTaskButton?.classList.add('hidden');
-    elements.endTaskButton?.classList.add('hidden');
-    elements.barChartContainer?.classList.add('hidden');
+        return { className, bestHold, bestSession };
+    }).filter(row => row.bestHold || row.bestSession);
 
-    if (elements.taskTimer) elements.taskTimer.textContent = '0.00s';
-    if (elements.feedbackMessage) elements.feedbackMessage.textContent = '';
-    if (elements.pauseTaskButton) {
-        elements.pauseTaskButton.textContent = '⏸ Pause';
-        elements.pauseTaskButton.classList.remove('btn-warning');
-        elements.pauseTaskButton.classList.add('btn-secondary');
+    if (rows.length === 0) {
+        elements.analyticsBests.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 1rem;">No sessions in this range</p>';
+        return;
     }
 
-    hideFeedback();
-
-    // Reset model URL and disable start task button (but keep test webcam enabled)
-    if (elements.modelUrlInput) elements.modelUrlInput.value = '';
-    if (elements.startTaskButton) elements.startTaskButton.disabled = true;
-    // Keep test webcam button enabled
-    state.model = null;
+    elements.analyticsBests.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Pose</th>
+                    <th>Longest Hold</th>
+                    <th>Best Session</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHTML(row.className)}</td>
+                        <td>${row.bestHold ? `${formatTime(row.bestHold.value)} · ${formatDate(row.bestHold.timestamp)}` : '—'}</td>
+                        <td>${row.bestSession ? `${formatTime(row.bestSession.value)} · ${formatDate(row.bestSession.timestamp)}` : '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
 // ============================================
-// Data Persistence
+// Export Functionality
 // ============================================
 
 /**
- * Save session to localStorage
+ * Quote a value for CSV
  */
-function saveSession(sessionData) {
-    try {
-        let sessions = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
-        sessions.unshift(sessionData);
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        // Keep only recent sessions
-        if (sessions.length > CONFIG.MAX_HISTORY_ITEMS) {
-            sessions = sessions.slice(0, CONFIG.MAX_HISTORY_ITEMS);
-        }
+/**
+ * Build a CSV line from values
+ */
+function csvRow(values) {
+    return values.map(csvValue).join(',') + '\n';
+}
 
-        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(sessions));
-        updateHistoryDisplay();
-    } catch (error) {
-        console.error('Error saving session:', error);
-    }
+/**
+ * File name stem for a session's exports
+ */
+function getExportFileStem(session) {
+    const date = new Date(session.timestamp);
+    const time = date.toTimeString().slice(0, 5).replace(':', '');
+    return `pose-session-${toDateKey(date)}-${time}`;
 }
 
 /**
- * Load sessions from localStorage
+ * Metadata rows shared by CSV exports
  */
-function loadSessions() {
-    try {
-        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
-    } catch (error) {
-        console.error('Error loading sessions:', error);
-        return [];
-    }
+function getSessionMetadataRows(session) {
+    const settings = session.settings || {};
+    const percent = (value) => value !== undefined && value !== null ? `${Math.round(value * 100)}%` : '';
+
+    return [
+        ['Title', session.title || ''],
+        ['Started', session.startedAt || ''],
+        ['Ended', session.timestamp],
+        ['Source', session.source === 'video' ? `video: ${session.videoName || ''}` : 'webcam'],
+        ['Model', session.model?.name || ''],
+        ['Model URL', session.model?.url || ''],
+        ['Confidence threshold', percent(settings.threshold)],
+        ['Exit threshold', percent(settings.exitThreshold)],
+        ['Minimum hold (s)', settings.minHoldTime ?? ''],
+        ['Grace gap (s)', settings.graceGap ?? ''],
+        ['Smoothing', settings.smoothing
+            ? (settings.smoothing.method === 'none' ? 'none' : `${settings.smoothing.method} (${settings.smoothing.window} frames)`)
+            : ''],
+        ['Class thresholds', Object.entries(settings.classThresholds || {}).map(([c, t]) => `${c}: ${percent(t)}`).join('; ')],
+        ['Ignored classes', (settings.ignoredClasses || []).join('; ')],
+        ['Required body parts', (settings.requiredParts || []).join('; ')],
+        ['Auto-pause after (s)', settings.autoPauseAfter || ''],
+        ['Auto-end after (s)', settings.autoEndAfter || ''],
+        ['Ended by', session.endedBy || ''],
+        ['Target inference rate (fps)', session.performance ? (session.performance.targetFps || 'max') : ''],
+        ['Render rate (fps)', session.performance?.renderFps ?? ''],
+        ['Inference rate (per s)', session.performance?.inferenceFps ?? ''],
+        ['Inference latency (ms, mean/max)', session.performance ? `${session.performance.latencyMs}/${session.performance.maxLatencyMs}` : ''],
+        ['Interruptions', (session.interruptions || []).map(item =>
+            `${item.reason} at ${item.at}s` + (item.pausedFor !== null ? ` (paused ${item.pausedFor}s)` : '')
+        ).join('; ')],
+        ['Total duration (s)', session.totalDuration.toFixed(2)],
+        ['Notes', session.notes || '']
+    ];
 }
 
 /**
- * Update history display
+ * Export per-pose totals with a metadata header
  */
-function updateHistoryDisplay() {
-    if (!elements.historyList) return;
+function exportSummaryCSV(session) {
+    const labels = Object.keys(session.classDurations);
+    const durations = Object.values(session.classDurations);
+    const segments = session.segments || [];
+    const totalTime = session.totalDuration;
+    const poseTime = durations.reduce((sum, d) => sum + d, 0);
+    const percentOf = (value) => totalTime > 0 ? ((value / totalTime) * 100).toFixed(1) + '%' : '0%';
+
+    let csv = '';
+    getSessionMetadataRows(session).forEach(row => {
+        csv += csvRow(row);
+    });
 
-    const sessions = loadSessions();
+    csv += '\n' + csvRow(['Pose', 'Duration (seconds)', 'Holds', 'Percentage']);
+    labels.forEach((label, i) => {
+        const holds = segments.filter(seg => seg.className === label).length;
+        csv += csvRow([label, durations[i].toFixed(2), holds, percentOf(durations[i])]);
+    });
+    csv += '\n' + csvRow(['Total pose time', poseTime.toFixed(2), segments.length, percentOf(poseTime)]);
+    csv += csvRow(['Total duration', totalTime.toFixed(2), '', '100%']);
 
-    if (sessions.length === 0) {
-        elements.historyList.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 2rem;">No sessions yet</p>';
-        return;
+    if (session.reps) {
+        csv += '\n' + csvRow(['Rep', 'Start (seconds)', 'End (seconds)', 'Duration (seconds)']);
+        session.reps.reps.forEach((rep, i) => {
+            csv += csvRow([i + 1, rep.start.toFixed(2), rep.end.toFixed(2), (rep.end - rep.start).toFixed(2)]);
+        });
+        csv += csvRow([`Total reps (${session.reps.startClass} → ${session.reps.endClass})`, session.reps.count, '', '']);
     }
 
-    let html = '';
-    sessions.slice(0, 10).forEach(session => {
-        const date = new Date(session.timestamp);
-        const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        html += `
-            <div class="history-item">
-                <span class="history-date">${dateStr}</span>
-                <span class="history-duration">${formatTime(session.totalDuration)}</span>
-            </div>
-        `;
-    });
+    if (session.formScores) {
+        csv += '\n' + csvRow(['Pose', 'Average form score (0-100)']);
+        Object.entries(session.formScores).forEach(([className, score]) => {
+            csv += csvRow([className, score]);
+        });
+    }
 
-    elements.historyList.innerHTML = html;
+    if (session.intervals) {
+        const intervals = session.intervals;
+        const heldShare = (held, work) => work > 0 ? ((held / work) * 100).toFixed(1) + '%' : '';
+        csv += '\n' + csvRow(['Round', 'Work (seconds)', 'Held (seconds)', 'Held %']);
+        intervals.results.forEach(round => {
+            csv += csvRow([round.round, round.work.toFixed(2), round.held.toFixed(2), heldShare(round.held, round.work)]);
+        });
+        csv += csvRow([`Total (${intervals.className}, ${intervals.completedRounds}/${intervals.rounds} rounds)`,
+            intervals.work.toFixed(2), intervals.held.toFixed(2), heldShare(intervals.held, intervals.work)]);
+    }
+
+    if (session.goals) {
+        csv += '\n' + csvRow(['Goal', 'Target (seconds)', 'Achieved (seconds)', 'Met at (seconds)']);
+        session.goals.goals.forEach(goal => {
+            csv += csvRow([goal.className, goal.target, goal.achieved.toFixed(2), goal.metAt !== null ? goal.metAt.toFixed(2) : '']);
+        });
+        csv += csvRow(['Goals met', `${session.goals.met}/${session.goals.total}`, '', '']);
+    }
+
+    downloadFile(csv, `${getExportFileStem(session)}-summary.csv`, 'text/csv;charset=utf-8;');
+    showToast('Session summary exported as CSV', 'success');
 }
 
 /**
- * Clear all history
+ * Export per-frame timestamps and all class probabilities
  */
-function clearHistory() {
-    if (confirm('Are you sure you want to clear all session history?')) {
-        localStorage.removeItem(CONFIG.STORAGE_KEY);
-        updateHistoryDisplay();
-        showToast('History cleared', 'success');
+function exportFramesCSV(session) {
+    const timeline = session.timeline;
+    if (!timeline || timeline.frames.length === 0) {
+        showToast('This session has no frame data', 'error');
+        return;
     }
-}
 
-// ============================================
-// Export Functionality
-// ============================================
+    let csv = csvRow(['Time (seconds)', 'Top pose', 'Top probability', ...timeline.labels]);
+    timeline.frames.forEach(frame => {
+        const probabilities = frame.slice(1);
+        const topIndex = probabilities.indexOf(Math.max(...probabilities));
+        csv += csvRow([frame[0].toFixed(2), timeline.labels[topIndex], probabilities[topIndex], ...probabilities]);
+    });
+
+    downloadFile(csv, `${getExportFileStem(session)}-frames.csv`, 'text/csv;charset=utf-8;');
+    showToast('Frame data exported as CSV', 'success');
+}
 
 /**
- * Export current session data as CSV
+ * Export the complete session record as JSON
  */
-function exportAsCSV() {
-    const labels = Object.keys(state.classDurations);
-    const durations = Object.values(state.classDurations);
-    const totalTime = durations.reduce((sum, d) => sum + d, 0);
+function exportSessionJSON(session) {
+    const payload = {
+        format: 'pose-tracker-session',
+        schemaVersion: CONFIG.SESSION_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        session
+    };
+
+    downloadFile(JSON.stringify(payload, null, 2), `${getExportFileStem(session)}.json`, 'application/json');
+    showToast('Session exported as JSON', 'success');
+}
 
-    let csv = 'Pose,Duration (seconds),Percentage\n';
-    labels.forEach((label, i) => {
-        const duration = durations[i].toFixed(2);
-        const percentage = totalTime > 0 ? ((durations[i] / totalTime) * 100).toFixed(1) : 0;
-        csv += `"${label}",${duration},${percentage}%\n`;
-    });
-    csv += `\nTotal,${totalTime.toFixed(2)},100%\n`;
+/**
+ * Open the export dialog for a session
+ */
+function openExportDialog(session) {
+    if (!session) return;
 
-    // Create and download file
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `pose-session-${new Date().toISOString().slice(0, 10)}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    exportTarget = session;
+    if (elements.exportDialogTitle) {
+        elements.exportDialogTitle.textContent = `Export ${session.title || new Date(session.timestamp).toLocaleString()}`;
+    }
+    if (elements.exportFramesButton) {
+        elements.exportFramesButton.disabled = !session.timeline || session.timeline.frames.length === 0;
+    }
+    elements.exportDialog?.showModal();
+}
 
-    showToast('Session exported as CSV', 'success');
+/**
+ * Run an export for the dialog's session and close it
+ */
+function runExport(exporter) {
+    if (exportTarget) {
+        exporter(exportTarget);
+    }
+    elements.exportDialog?.close();
 }
 
 // ============================================
@@ -1107,18 +6437,38 @@ function initializeEventListeners() {
 
         showFeedback('Loading model...', 'loading');
         const success = await loadModel(url);
+        handleModelLoadResult(success, 'Failed to load model. Please check the URL.');
+    });
 
-        if (success) {
-            showFeedback('Model loaded successfully!', 'success');
-            elements.taskSection?.classList.remove('hidden');
-            if (elements.startTaskButton) elements.startTaskButton.disabled = false;
-            if (elements.testWebcamButton) elements.testWebcamButton.disabled = false;
-            showToast('Model loaded successfully!', 'success');
-        } else {
-            showFeedback('Failed to load model. Please check the URL.', 'error');
+    // Local Model Files
+    elements.localModelButton?.addEventListener('click', () => {
+        elements.modelFilesInput?.click();
+    });
+
+    elements.modelFilesInput?.addEventListener('change', async () => {
+        await handleLocalModelFiles(Array.from(elements.modelFilesInput.files));
+        elements.modelFilesInput.value = '';
+    });
+
+    // Drag and drop exported model onto the model card
+    elements.modelSection?.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        elements.modelSection.classList.add('drag-over');
+    });
+
+    elements.modelSection?.addEventListener('dragleave', (e) => {
+        if (!elements.modelSection.contains(e.relatedTarget)) {
+            elements.modelSection.classList.remove('drag-over');
         }
     });
 
+    elements.modelSection?.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        elements.modelSection.classList.remove('drag-over');
+        const files = await collectDroppedFiles(e.dataTransfer);
+        await handleLocalModelFiles(files);
+    });
+
     // Test Webcam Button
     elements.testWebcamButton?.addEventListener('click', async () => {
         state.isTaskMode = false;
@@ -1148,17 +6498,59 @@ function initializeEventListeners() {
         showFeedback('Webcam test stopped', 'success');
     });
 
+    // Camera Settings
+    elements.cameraSelect?.addEventListener('change', handleCameraSettingsChange);
+    elements.resolutionSelect?.addEventListener('change', handleCameraSettingsChange);
+    elements.mirrorCheckbox?.addEventListener('change', saveCameraSettings);
+    navigator.mediaDevices?.addEventListener?.('devicechange', populateCameraSelect);
+
+    // Routine Builder
+    elements.addStepButton?.addEventListener('click', addRoutineStep);
+    elements.saveRoutineButton?.addEventListener('click', saveRoutineDraft);
+    elements.newRoutineButton?.addEventListener('click', resetRoutineDraft);
+    elements.routineNameInput?.addEventListener('input', () => {
+        routineDraft.name = elements.routineNameInput.value;
+    });
+    elements.routineSteps?.addEventListener('change', handleRoutineStepChange);
+    elements.routineSteps?.addEventListener('click', handleRoutineStepClick);
+    elements.routineList?.addEventListener('click', handleRoutineListClick);
+
     // Start Task Button
     elements.startTaskButton?.addEventListener('click', startTask);
 
+    // Analyze Video Button
+    elements.analyzeVideoButton?.addEventListener('click', () => {
+        elements.videoFileInput?.click();
+    });
+
+    elements.videoFileInput?.addEventListener('change', async () => {
+        const file = elements.videoFileInput.files[0];
+        elements.videoFileInput.value = '';
+        await startVideoAnalysis(file);
+    });
+
     // Pause Task Button
     elements.pauseTaskButton?.addEventListener('click', togglePause);
+    elements.reconnectCameraButton?.addEventListener('click', reconnectCamera);
+
+    // Camera interruptions
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    watchCameraPermission();
 
     // End Task Button
     elements.endTaskButton?.addEventListener('click', endTask);
 
     // Export Button
-    elements.exportButton?.addEventListener('click', exportAsCSV);
+    elements.exportButton?.addEventListener('click', () => openExportDialog(viewedSession));
+
+    // Export Dialog
+    elements.exportSummaryButton?.addEventListener('click', () => runExport(exportSummaryCSV));
+    elements.exportFramesButton?.addEventListener('click', () => runExport(exportFramesCSV));
+    elements.exportJsonButton?.addEventListener('click', () => runExport(exportSessionJSON));
+    elements.exportCancelButton?.addEventListener('click', () => elements.exportDialog?.close());
+    elements.exportDialog?.addEventListener('close', () => {
+        exportTarget = null;
+    });
 
     // Restart Button
     elements.restartButton?.addEventListener('click', restart);
@@ -1166,16 +6558,131 @@ function initializeEventListeners() {
     // Clear History Button
     elements.clearHistoryButton?.addEventListener('click', clearHistory);
 
+    // Backup & Restore
+    elements.backupButton?.addEventListener('click', exportBackup);
+    elements.restoreButton?.addEventListener('click', () => {
+        elements.restoreFileInput?.click();
+    });
+    elements.restoreFileInput?.addEventListener('change', async () => {
+        await importBackup(elements.restoreFileInput.files[0]);
+        elements.restoreFileInput.value = '';
+    });
+
+    // History list and paging
+    elements.historyList?.addEventListener('click', handleHistoryListActivate);
+    elements.historyList?.addEventListener('keydown', handleHistoryListActivate);
+    elements.historyPrevButton?.addEventListener('click', () => changeHistoryPage(-1));
+    elements.historyNextButton?.addEventListener('click', () => changeHistoryPage(1));
+
+    // Analytics filters
+    elements.analyticsFromInput?.addEventListener('change', renderAnalytics);
+    elements.analyticsToInput?.addEventListener('change', renderAnalytics);
+    elements.analyticsClassSelect?.addEventListener('change', renderAnalytics);
+
+    // Session detail actions
+    elements.sessionTitleInput?.addEventListener('change', saveViewedSessionDetails);
+    elements.sessionNotesInput?.addEventListener('change', saveViewedSessionDetails);
+    elements.deleteSessionButton?.addEventListener('click', deleteViewedSession);
+    elements.closeSummaryButton?.addEventListener('click', closeSummary);
+
+    // Session Timeline hover
+    elements.summaryTimelineCanvas?.addEventListener('mousemove', handleTimelineHover);
+    elements.summaryTimelineCanvas?.addEventListener('mouseleave', hideTimelineTooltip);
+
+    // Redraw timeline to fit its container
+    window.addEventListener('resize', () => {
+        if (summaryTimeline) {
+            renderSessionTimeline(summaryTimeline.timeline, summaryTimeline.segments);
+        }
+    });
+
+    // Model Library
+    elements.modelLibrary?.addEventListener('click', handleModelLibraryClick);
+
+    // Skeleton Replay
+    elements.replayPlayButton?.addEventListener('click', toggleSkeletonReplay);
+    elements.replayScrubber?.addEventListener('input', seekSkeletonReplay);
+
+    // Session Recording
+    elements.downloadRecordingButton?.addEventListener('click', downloadViewedRecording);
+    if (elements.recordVideoCheckbox && !canRecordVideo()) {
+        elements.recordVideoCheckbox.disabled = true;
+        elements.recordVideoCheckbox.closest('label')?.setAttribute('title', 'Recording is not supported in this browser');
+    }
+
+    // Audio Cues
+    elements.audioMuteButton?.addEventListener('click', toggleMute);
+
+    // Diagnostics
+    elements.diagnosticsButton?.addEventListener('click', toggleDiagnostics);
+    elements.copyBugReportButton?.addEventListener('click', copyBugReport);
+    elements.clearDiagnosticsButton?.addEventListener('click', clearDiagnosticErrors);
+    window.addEventListener('error', (e) => recordDiagnosticError('uncaught', e.error || e.message));
+    window.addEventListener('unhandledrejection', (e) => recordDiagnosticError('unhandled promise', e.reason));
+
+    // Form Scoring
+    elements.captureReferenceButton?.addEventListener('click', captureReferencePose);
+
+    // Rep Counting
+    elements.taskModeSelect?.addEventListener('change', updateTaskModeControls);
+
+    // Class Settings
+    elements.classSettingsList?.addEventListener('change', handleClassSettingChange);
+    elements.classSettingsList?.addEventListener('click', handleClassSettingClick);
+    elements.requiredPartsList?.addEventListener('change', handleRequiredPartChange);
+    elements.goalsEndCheckbox?.addEventListener('change', () => {
+        updateModelSettings({ endOnGoals: elements.goalsEndCheckbox.checked });
+    });
+
     // Threshold Input
     elements.thresholdInput?.addEventListener('change', () => {
         const value = parseFloat(elements.thresholdInput.value);
         if (value < 0 || value > 100) {
             elements.thresholdInput.value = CONFIG.CONFIDENCE_THRESHOLD * 100;
         }
+        updateModelSettings({ threshold: Math.round(getConfidenceThreshold() * 100) });
+        renderClassSettings();
+    });
+
+    // Exit Threshold Input
+    elements.exitThresholdInput?.addEventListener('change', () => {
+        const value = parseFloat(elements.exitThresholdInput.value);
+        if (value < 0 || value > 100) {
+            elements.exitThresholdInput.value = CONFIG.EXIT_THRESHOLD * 100;
+        }
+    });
+
+    // Minimum Hold Input
+    elements.minHoldInput?.addEventListener('change', () => {
+        const value = parseFloat(elements.minHoldInput.value);
+        if (isNaN(value) || value < 0 || value > 10) {
+            elements.minHoldInput.value = CONFIG.MIN_HOLD_TIME;
+        }
+    });
+
+    // Grace Gap Input
+    elements.graceGapInput?.addEventListener('change', () => {
+        const value = parseFloat(elements.graceGapInput.value);
+        if (isNaN(value) || value < 0 || value > 5) {
+            elements.graceGapInput.value = CONFIG.GRACE_GAP;
+        }
+    });
+
+    // Smoothing settings take effect immediately, starting from a fresh window
+    elements.smoothingSelect?.addEventListener('change', resetSmoother);
+    elements.smoothingWindowInput?.addEventListener('change', () => {
+        const value = parseInt(elements.smoothingWindowInput.value, 10);
+        if (isNaN(value) || value < 1 || value > 60) {
+            elements.smoothingWindowInput.value = CONFIG.SMOOTHING_WINDOW;
+        }
+        resetSmoother();
     });
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Leave keys alone while typing, e.g. a routine name or the model URL
+        if (e.target.closest?.('input, textarea, select') || e.target.isContentEditable) return;
+
         if (e.code === 'Space' && state.isTaskMode) {
             e.preventDefault();
             togglePause();
@@ -1184,6 +6691,14 @@ function initializeEventListeners() {
             e.preventDefault();
             endTask();
         }
+        if (e.code === 'KeyM' && state.isTaskMode) {
+            e.preventDefault();
+            toggleMute();
+        }
+        if (e.code === 'KeyR' && state.isTaskMode) {
+            e.preventDefault();
+            captureReferencePose();
+        }
     });
 }
 
@@ -1193,7 +6708,10 @@ function initializeEventListeners() {
 
 document.addEventListener('DOMContentLoaded', () => {
     initializeEventListeners();
+    applyCameraSettings();
     updateHistoryDisplay();
+    renderModelLibrary();
+    renderAnalytics();
 
     // Initially hide task and summary sections
     elements.taskSection?.classList.add('hidden');